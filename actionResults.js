@@ -0,0 +1,92 @@
+// Structured answers to client commands. Every command answers with { ok: true, ... }
+// or { ok: false, code, message, details } so clients can react to the code and
+// localize the message themselves.
+
+import { validatePayload } from './payloadSchemas.js';
+
+// Rejection codes and their default (English) messages
+const REJECTIONS = {
+  INVALID_PAYLOAD: "Malformed request",
+  ROOM_NOT_FOUND: "Room not found",
+  NOT_IN_ROOM: "You are not a player in this room",
+  FORBIDDEN: "You don't have permission to do that",
+  JOIN_FAILED: "Failed to join room",
+  INVALID_SESSION: "That session can't be resumed",
+  GAME_IN_PROGRESS: "Not allowed while a game is in progress",
+  WRONG_PHASE: "Not allowed at this point of the game",
+  NOT_YOUR_TURN: "It's not your turn",
+  MUST_LEAD: "You hold the lead and have to play",
+  INVALID_COMBINATION: "Those cards don't make a valid combination",
+  CANNOT_BEAT: "That play doesn't beat the cards on the table",
+  MUST_INCLUDE_OPENING_CARD: "The opening play must include the lowest card",
+  CARD_NOT_IN_HAND: "You don't hold all of those cards",
+  INVALID_CHAIR: "There is no such chair",
+  CHAIR_OCCUPIED: "Chair is occupied",
+  NO_EMPTY_CHAIR: "There is no empty chair",
+  NOT_SEATED: "You need to be seated",
+  NOT_ENOUGH_PLAYERS: "At least 2 seated players are needed",
+  PLAYERS_NOT_READY: "All players must be ready",
+  INVALID_SETTINGS: "No valid settings to update",
+  UNKNOWN_DIFFICULTY: "Unknown bot difficulty",
+  NO_BOT_IN_CHAIR: "No bot in that chair",
+  GAME_NOT_FOUND: "No finished game with that id",
+  NO_REPLAY: "No replay is playing",
+  INTERNAL_ERROR: "Something went wrong on the server"
+};
+
+function accept(data = {}) {
+  return { ok: true, ...data };
+}
+
+function reject(code, details = {}) {
+  return {
+    ok: false,
+    code,
+    message: REJECTIONS[code] || code,
+    details
+  };
+}
+
+// Answer a command: through the acknowledgement callback when the client passed one,
+// otherwise a rejection goes out as an action_rejected event
+function respond(socket, action, ack, result) {
+  if (!result) return;
+
+  if (typeof ack === 'function') {
+    ack(result);
+    return;
+  }
+
+  if (!result.ok) {
+    console.log(`Rejected ${action} from ${socket.id}: ${result.code}`);
+    socket.emit("action_rejected", { action, ...result });
+  }
+}
+
+// Register a command handler that returns accept()/reject() results. socket.io passes
+// the acknowledgement callback as the last argument, after however many arguments the
+// client sent, so it's pulled off here and the handler keeps fixed parameters.
+// Arguments are checked against the command's schema (payloadSchemas.js) first and the
+// handler gets the sanitized values. A handler that throws answers with INTERNAL_ERROR.
+function onCommand(socket, action, handler) {
+  socket.on(action, async (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+    const { args: payload, errors } = validatePayload(action, args);
+    if (errors) {
+      respond(socket, action, ack, reject('INVALID_PAYLOAD', { errors }));
+      return;
+    }
+
+    let result;
+    try {
+      result = await handler(...payload);
+    } catch (error) {
+      console.error(`Error in ${action} handler for ${socket.id}:`, error);
+      result = reject('INTERNAL_ERROR');
+    }
+    respond(socket, action, ack, result);
+  });
+}
+
+export { REJECTIONS, accept, reject, respond, onCommand };
@@ -0,0 +1,92 @@
+// Socket handshake authentication. Signed-in players connect with their Supabase access
+// token (handshake auth.token), verified against the project's JWT secret, and their user
+// id comes from the token. Everyone else plays as a guest under a server-issued identity,
+// which they can present again (handshake auth.guestToken) to keep it across reconnects.
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+const GUEST_ID_PREFIX = 'guest_';
+const GUEST_TOKEN_AUDIENCE = 'guest';
+const GUEST_TOKEN_TTL = '30d';
+const USER_TOKEN_AUDIENCE = 'authenticated'; // Supabase access tokens
+
+function isGuestId(userId) {
+  return typeof userId === 'string' && userId.startsWith(GUEST_ID_PREFIX);
+}
+
+// Verify a Supabase access token and return the user id it was issued to
+function verifyUserToken(token, secret) {
+  const payload = jwt.verify(token, secret, { algorithms: ['HS256'], audience: USER_TOKEN_AUDIENCE });
+  if (!payload.sub || isGuestId(payload.sub)) {
+    throw new Error('Token has no user');
+  }
+  return payload.sub;
+}
+
+function issueGuestIdentity(secret) {
+  const userId = `${GUEST_ID_PREFIX}${crypto.randomUUID()}`;
+  const guestToken = jwt.sign({ sub: userId }, secret, {
+    algorithm: 'HS256',
+    audience: GUEST_TOKEN_AUDIENCE,
+    expiresIn: GUEST_TOKEN_TTL
+  });
+  return { userId, guestToken };
+}
+
+// Return the guest id from a token we issued earlier, or null if it isn't valid any more
+function verifyGuestToken(guestToken, secret) {
+  try {
+    const payload = jwt.verify(guestToken, secret, { algorithms: ['HS256'], audience: GUEST_TOKEN_AUDIENCE });
+    return isGuestId(payload.sub) ? payload.sub : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// socket.io middleware that sets socket.data.userId / socket.data.isGuest (and
+// socket.data.guestToken for guests). jwtSecret verifies Supabase tokens, guestSecret
+// signs guest identities. Without a guest secret a random one is generated, so guest
+// identities then only last until the server restarts. Signed-in users listed in
+// adminUserIds get socket.data.isAdmin (guests never do).
+function createAuthMiddleware({ jwtSecret, guestSecret, adminUserIds = [] } = {}) {
+  if (!jwtSecret) {
+    console.warn('No JWT secret configured (SUPABASE_JWT_SECRET), every connection will play as a guest');
+  }
+  const guestKey = guestSecret || jwtSecret || crypto.randomBytes(32).toString('hex');
+
+  return (socket, next) => {
+    const { token, guestToken } = socket.handshake.auth || {};
+
+    if (token && jwtSecret) {
+      try {
+        socket.data.userId = verifyUserToken(token, jwtSecret);
+        socket.data.isGuest = false;
+        socket.data.isAdmin = adminUserIds.includes(socket.data.userId);
+        console.log(`Socket ${socket.id} authenticated as ${socket.data.userId}${socket.data.isAdmin ? ' (admin)' : ''}`);
+        return next();
+      } catch (error) {
+        console.log(`Socket ${socket.id} sent an invalid token: ${error.message}`);
+        const authError = new Error('INVALID_TOKEN');
+        authError.data = { code: 'INVALID_TOKEN', message: error.message };
+        return next(authError);
+      }
+    }
+
+    // Guests keep their identity as long as they hold on to the token we gave them
+    const returningGuestId = guestToken ? verifyGuestToken(guestToken, guestKey) : null;
+    if (returningGuestId) {
+      socket.data.userId = returningGuestId;
+      socket.data.guestToken = guestToken;
+    } else {
+      const identity = issueGuestIdentity(guestKey);
+      socket.data.userId = identity.userId;
+      socket.data.guestToken = identity.guestToken;
+    }
+    socket.data.isGuest = true;
+    socket.data.isAdmin = false;
+    console.log(`Socket ${socket.id} playing as guest ${socket.data.userId}`);
+    next();
+  };
+}
+
+export { createAuthMiddleware, isGuestId, verifyUserToken, issueGuestIdentity };
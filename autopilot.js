@@ -0,0 +1,43 @@
+// Autopilot: a bot plays a disconnected player's hand until they reconnect
+import { makeBotMove, cancelBotMove } from './botLogic.js';
+import { emitRoomEvent } from './roomHelpers.js';
+
+// Hand the seat to the bot AI once the grace period passes without a reconnect
+function scheduleAutopilot(io, room, player) {
+  clearTimeout(player.autopilotTimer);
+
+  const graceSeconds = room.settings?.autopilotGrace ?? 0;
+  console.log(`Autopilot for ${player.id} in room ${room.id} in ${graceSeconds}s unless they reconnect`);
+
+  player.autopilotTimer = setTimeout(() => {
+    player.autopilotTimer = null;
+    if (player.connected || !room.gameStarted || !(player.hand?.length > 0)) return;
+    startAutopilot(io, room, player);
+  }, graceSeconds * 1000);
+}
+
+function startAutopilot(io, room, player) {
+  player.autopilot = true;
+  console.log(`Autopilot active for ${player.id} in room ${room.id}`);
+  emitRoomEvent(io, room, "autopilot_update", { playerId: player.id, name: player.name, active: true });
+
+  // Take over right away if the player is holding up the table
+  if (room.turn === player.id) {
+    makeBotMove(io, room, player);
+  }
+}
+
+// Give control back to the player (they reconnected) and cancel anything pending
+function stopAutopilot(io, room, player) {
+  clearTimeout(player.autopilotTimer);
+  player.autopilotTimer = null;
+
+  if (!player.autopilot) return;
+
+  cancelBotMove(player);
+  player.autopilot = false;
+  console.log(`Autopilot released for ${player.id} in room ${room.id}`);
+  emitRoomEvent(io, room, "autopilot_update", { playerId: player.id, name: player.name, active: false });
+}
+
+export { scheduleAutopilot, startAutopilot, stopAutopilot };
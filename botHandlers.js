@@ -1,7 +1,121 @@
-// Bot handlers removed - no bots in Thirteen game
-function setupBotHandlers(io, supabase) {
-  // No bot functionality - bots have been completely removed from the game
-  // This function is kept for compatibility but does nothing
+import { getRoom, createEmptyChairs, CHAIR_COUNT } from './roomManager.js';
+import { saveRoomToDB } from './databaseHelpers.js';
+import { emitRoomState } from './roomHelpers.js';
+import { BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY } from './botStrategies.js';
+import { cancelBotMove } from './botLogic.js';
+import { onCommand, accept, reject } from './actionResults.js';
+import { checkPhase, cancelCountdown } from './roomPhases.js';
+import { checkPermission } from './permissions.js';
+
+// Bots fill empty chairs between games; their turns are played by botLogic
+function createBot(roomId, chairIndex, difficulty) {
+  return {
+    id: `bot_${roomId}_${chairIndex}_${Date.now()}`,
+    userId: null,
+    name: `Bot ${chairIndex + 1}`,
+    difficulty,
+    hand: [],
+    connected: true,
+    chair: chairIndex,
+    ready: true, // Bots are always ready
+    isBot: true,
+    profilePic: null
+  };
+}
+
+function setupBotHandlers(io, storage) {
+  io.on("connection", (socket) => {
+    onCommand(socket, "add_bot", async (roomId, chairIndex, difficulty = DEFAULT_BOT_DIFFICULTY) => {
+      const room = await getRoom(roomId);
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
+
+      const forbidden = checkPermission(room, socket, 'add_bot');
+      if (forbidden) return forbidden;
+
+      const wrongPhase = checkPhase(room, 'add_bot');
+      if (wrongPhase) return wrongPhase;
+
+      if (!BOT_DIFFICULTIES.includes(difficulty)) {
+        return reject('UNKNOWN_DIFFICULTY', { difficulty, difficulties: BOT_DIFFICULTIES });
+      }
+
+      if (!room.chairs) room.chairs = createEmptyChairs();
+
+      // Use the requested chair, or the first empty one
+      const targetChair = chairIndex ?? room.chairs.findIndex(occupant => occupant === null);
+      if (targetChair < 0 || targetChair >= CHAIR_COUNT) {
+        return reject(chairIndex == null ? 'NO_EMPTY_CHAIR' : 'INVALID_CHAIR', { chairIndex });
+      }
+      if (room.chairs[targetChair] !== null) {
+        return reject('CHAIR_OCCUPIED', { chairIndex: targetChair });
+      }
+
+      const bot = createBot(roomId, targetChair, difficulty);
+      room.players.push(bot);
+      room.chairs[targetChair] = bot.id;
+      console.log(`Bot ${bot.id} (${difficulty}) added to chair ${targetChair} in room ${roomId}`);
+
+      // Reset countdown when someone joins a seat
+      cancelCountdown(io, room);
+
+      await saveRoomToDB(room, storage);
+      emitRoomState(io, room, "room_update");
+      return accept({ botId: bot.id, chairIndex: targetChair });
+    });
+
+    onCommand(socket, "set_bot_difficulty", async (roomId, chairIndex, difficulty) => {
+      const room = await getRoom(roomId);
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
+
+      const forbidden = checkPermission(room, socket, 'set_bot_difficulty');
+      if (forbidden) return forbidden;
+
+      if (!BOT_DIFFICULTIES.includes(difficulty)) {
+        return reject('UNKNOWN_DIFFICULTY', { difficulty, difficulties: BOT_DIFFICULTIES });
+      }
+
+      const bot = room.players.find(p => p.isBot && p.chair === chairIndex);
+      if (!bot) {
+        return reject('NO_BOT_IN_CHAIR', { chairIndex });
+      }
+
+      // Takes effect from the bot's next move
+      bot.difficulty = difficulty;
+      console.log(`Bot ${bot.id} set to ${difficulty} in room ${roomId}`);
+
+      await saveRoomToDB(room, storage);
+      emitRoomState(io, room, "room_update");
+      return accept({ botId: bot.id, difficulty });
+    });
+
+    onCommand(socket, "remove_bot", async (roomId, chairIndex) => {
+      const room = await getRoom(roomId);
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
+
+      const forbidden = checkPermission(room, socket, 'remove_bot');
+      if (forbidden) return forbidden;
+
+      const wrongPhase = checkPhase(room, 'remove_bot');
+      if (wrongPhase) return wrongPhase;
+
+      const botIndex = room.players.findIndex(p => p.isBot && p.chair === chairIndex);
+      if (botIndex === -1) {
+        return reject('NO_BOT_IN_CHAIR', { chairIndex });
+      }
+
+      const [bot] = room.players.splice(botIndex, 1);
+      cancelBotMove(bot);
+      if (room.chairs) room.chairs[chairIndex] = null;
+      console.log(`Bot ${bot.id} removed from chair ${chairIndex} in room ${roomId}`);
+
+      // Reset countdown when someone leaves a seat
+      cancelCountdown(io, room);
+
+      await saveRoomToDB(room, storage);
+      emitRoomState(io, room, "room_update");
+      return accept({ botId: bot.id });
+    });
+  });
 }
 
-export { setupBotHandlers };
\ No newline at end of file
+export { setupBotHandlers };
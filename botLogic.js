@@ -1,150 +1,125 @@
 // Bot AI logic and movement functions
-import { validateCombination, canBeatCombination, getValidMoves } from './gameLogic.js';
-
-// Bot AI logic
-function makeBotMove(room, bot, io) {
-  // Get valid moves for the bot
-  const validMoves = getValidMoves(bot.hand, room.currentCombination);
-
-  if (validMoves.length === 0) {
-    // No valid moves, bot must pass
-    setTimeout(() => {
-      handleBotPass(room, bot, io);
-    }, 1000 + Math.random() * 2000); // Random delay 1-3 seconds
-    return;
-  }
-
-  // Choose a move (simple AI: pick random valid move)
-  const chosenMove = validMoves[Math.floor(Math.random() * validMoves.length)];
+// Bots take their turns through the same turn pipeline as human players (turnManager),
+// so turn timers, persistence and per-recipient projection all apply to them.
+import { playCards, takeAutomaticTurn } from './turnManager.js';
+import { getSeatedPlayers } from './roomManager.js';
+import { generateDeck } from './cardUtils.js';
+import { chooseLiveMove } from './botStrategies.js';
+
+// What the bot is allowed to know: its own hand, card counts and the cards played so far
+function createBotView(room, bot) {
+  const order = getSeatedPlayers(room)
+    .filter(p => p.hand?.length > 0 || room.placements?.includes(p.id))
+    .map(p => p.id);
+
+  const handCounts = {};
+  room.players.forEach(p => {
+    handCounts[p.id] = p.hand?.length || 0;
+  });
+
+  const playedCards = room.playedCards || [];
+  const known = new Set([...bot.hand, ...playedCards]);
+
+  return {
+    playerId: bot.id,
+    hand: bot.hand,
+    currentCombination: room.currentCombination,
+    openingCard: room.openingCard,
+    order,
+    handCounts,
+    passes: room.passes || [],
+    lastPlayer: room.lastPlayer,
+    placements: room.placements || [],
+    playedCards,
+    unseenCards: generateDeck().filter(card => !known.has(card))
+  };
+}
 
-  // Simulate thinking time
-  setTimeout(() => {
-    handleBotPlay(room, bot, chosenMove, io);
-  }, 1500 + Math.random() * 2000); // Random delay 1.5-3.5 seconds
+// Bot AI logic: resolves with the cards to play for the bot's difficulty, or null to pass.
+// Aborting the signal stops a running search.
+function chooseBotMove(room, bot, signal) {
+  return chooseLiveMove(createBotView(room, bot), bot.difficulty, { signal });
 }
 
-function handleBotPlay(room, bot, cards, io) {
-  // Validate the combination
-  const combination = validateCombination(cards);
-  if (!combination) {
-    return;
-  }
+// Whether it's up to the bot AI to move for this player now
+function isBotTurn(room, bot) {
+  return room.gameStarted && room.turn === bot.id && Boolean(bot.isBot || bot.autopilot);
+}
 
-  // Check if it can beat the current combination
-  if (!canBeatCombination(combination, room.currentCombination)) {
-    return;
-  }
+// Stop a scheduled bot move, and its search if one is running
+function cancelBotMove(bot) {
+  clearTimeout(bot.moveTimer);
+  bot.moveTimer = null;
+  bot.moveSearch?.abort();
+  bot.moveSearch = null;
+}
 
-  // Remove played cards from bot's hand
-  bot.hand = bot.hand.filter(c => !cards.includes(c));
-  room.pile = cards;
-  room.currentCombination = combination;
-  // Don't reset passes here - only reset when a new round actually starts
-  room.lastPlayer = bot.id; // Track who played last
-
-  // Check if bot won
-  if (bot.hand.length === 0) {
-    room.winner = bot.id;
-    room.gameStarted = false;
-  } else {
-    // Move to next player
-    const currentIdx = room.players.findIndex(p => p.id === bot.id);
-    const nextPlayerIdx = (currentIdx + 1) % room.players.length;
-    const nextPlayer = room.players[nextPlayerIdx];
-
-    // Skip players who have passed this round
-    if (room.passes.includes(nextPlayer.id)) {
-      // Find the next player who hasn't passed
-      let foundValidPlayer = false;
-      for (let i = 1; i < room.players.length; i++) {
-        const checkIdx = (currentIdx + i) % room.players.length;
-        const checkPlayer = room.players[checkIdx];
-        if (!room.passes.includes(checkPlayer.id)) {
-          room.turn = checkPlayer.id;
-          foundValidPlayer = true;
-          break;
-        }
-      }
-    } else {
-      room.turn = nextPlayer.id;
-    }
+// Schedule the bot's turn after some thinking time
+function makeBotMove(io, room, bot) {
+  cancelBotMove(bot);
 
-    // If next player is also a bot, make them move
-    const nextPlayerObj = room.players.find(p => p.id === room.turn);
-    if (nextPlayerObj && nextPlayerObj.isBot) {
-      setTimeout(() => makeBotMove(room, nextPlayerObj, io), 500);
-    }
-  }
+  // Simulate thinking time, random delay 1.5-3.5 seconds
+  bot.moveTimer = setTimeout(() => {
+    bot.moveTimer = null;
 
-  io.to(room.id).emit("game_update", room);
+    // The turn may have moved on (turn timer, game reset, the player came back
+    // from autopilot) while the bot was thinking
+    if (!isBotTurn(room, bot)) return;
+    takeBotTurn(io, room, bot);
+  }, 1500 + Math.random() * 2000);
 }
 
-function handleBotPass(room, bot, io) {
-  const playerId = bot.id;
-
-  if (!room.passes.includes(playerId)) {
-    room.passes.push(playerId);
+// Pick a move from the table as it is now and play it. The hard search yields to other
+// rooms while it runs, so the table is checked again before playing.
+async function takeBotTurn(io, room, bot) {
+  const search = new AbortController();
+  bot.moveSearch = search;
+  const table = room.currentCombination;
+
+  let cards = null;
+  try {
+    cards = await chooseBotMove(room, bot, search.signal);
+  } catch (error) {
+    if (!search.signal.aborted) {
+      console.error(`Bot ${bot.id} failed to pick a move in room ${room.id}:`, error);
+    }
   }
 
-  // If all other players passed, start new round
-  const activePlayers = room.players.filter(p => p.hand.length > 0);
-  const passedPlayers = activePlayers.filter(p => room.passes.includes(p.id));
-
-  if (passedPlayers.length === activePlayers.length - 1) {
-    // All players passed, start new round with the player who played last
-    room.currentCombination = null;
-    room.passes = [];
-    room.pile = []; // Clear the cards from the table
-    room.round = (room.round || 1) + 1; // Increment round counter
-
-    // Turn goes to the player who played the last card
-    if (room.lastPlayer) {
-      room.turn = room.lastPlayer;
-
-      // If the last player is a bot, make them move
-      const lastPlayerObj = room.players.find(p => p.id === room.lastPlayer);
-      if (lastPlayerObj && lastPlayerObj.isBot) {
-        setTimeout(() => makeBotMove(room, lastPlayerObj, io), 1000);
-      }
-    }
+  // A newer move was scheduled, or the move was cancelled, while searching
+  if (search.signal.aborted) return;
+  bot.moveSearch = null;
 
-    // Don't emit game_update here - let the bot move trigger it if needed
+  if (!isBotTurn(room, bot)) return;
+  if (room.currentCombination !== table) {
+    makeBotMove(io, room, bot);
     return;
+  }
+
+  if (cards) {
+    handleBotPlay(io, room, bot, cards);
   } else {
-    // Move to next player
-    const currentIdx = room.players.findIndex(p => p.id === bot.id);
-    const nextPlayerIdx = (currentIdx + 1) % room.players.length;
-    const nextPlayer = room.players[nextPlayerIdx];
-
-    // Skip players who have passed this round
-    if (room.passes.includes(nextPlayer.id)) {
-      // Find the next player who hasn't passed
-      let foundValidPlayer = false;
-      for (let i = 1; i < room.players.length; i++) {
-        const checkIdx = (currentIdx + i) % room.players.length;
-        const checkPlayer = room.players[checkIdx];
-        if (!room.passes.includes(checkPlayer.id)) {
-          room.turn = checkPlayer.id;
-          foundValidPlayer = true;
-          break;
-        }
-      }
-    } else {
-      room.turn = nextPlayer.id;
-    }
+    handleBotPass(io, room, bot);
+  }
+}
 
-    // If next player is also a bot, make them move
-    const nextPlayerObj = room.players.find(p => p.id === room.turn);
-    if (nextPlayerObj && nextPlayerObj.isBot) {
-      setTimeout(() => makeBotMove(room, nextPlayerObj, io), 500);
-    }
+function handleBotPlay(io, room, bot, cards) {
+  // Fall back to passing if the play was rejected, so the game never stalls on a bot
+  if (!playCards(io, room, bot, cards).ok) {
+    handleBotPass(io, room, bot);
   }
+}
 
-  io.to(room.id).emit("game_update", room);
+// Pass, or lead the lowest card when the bot holds the lead and can't pass
+function handleBotPass(io, room, bot) {
+  takeAutomaticTurn(io, room, bot.id);
 }
 
 export {
+  createBotView,
+  chooseBotMove,
+  cancelBotMove,
   makeBotMove,
+  takeBotTurn,
   handleBotPlay,
   handleBotPass
-};
\ No newline at end of file
+};
@@ -0,0 +1,280 @@
+// Bot difficulty tiers. Every strategy takes a view of the game from the bot's seat
+// (see getSimulationView in simulation.js) and returns the cards to play, or null to pass.
+import { getValidMoves, validateCombination, parseCard, isBomb, isChop, RANK_ORDER } from './gameLogic.js';
+import { createSimulation, applyMove, runSimulation } from './simulation.js';
+
+const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_BOT_DIFFICULTY = 'medium';
+
+// Medium heuristic weights
+const BREAK_PENALTY = 3; // Splitting a pair/triple or pulling a card out of a straight
+const TWO_HOLD_PENALTY = 6; // Spending a 2 before the endgame
+const BOMB_HOLD_PENALTY = 8; // Spending a bomb before the endgame
+const CHOP_BONUS = 6; // Chopping earns the chopped player's penalty
+const SHED_BONUS = 1.5; // Per extra card shed when leading
+const PASS_THRESHOLD = 9; // Responding costs more than this: pass instead
+const ENDGAME_HAND_SIZE = 5; // Own hand this small: stop holding 2s and bombs back
+const DANGER_HAND_SIZE = 2; // Opponent this close to going out: stop holding back
+
+// Hard search budget. The full budget is for the selfPlay harness, live rooms search
+// less and in steps so the server keeps handling other rooms meanwhile.
+const SEARCH_TIME_BUDGET_MS = 250;
+const SEARCH_MAX_SAMPLES = 200;
+const SEARCH_MAX_CANDIDATES = 6;
+const LIVE_SEARCH_TIME_BUDGET_MS = 100;
+const LIVE_SEARCH_MAX_SAMPLES = 60;
+
+// Moves the bot may make right now (the opening play must include the opening card)
+function getLegalMoves(view) {
+  return getValidMoves(view.hand, view.currentCombination)
+    .filter(move => !view.openingCard || move.includes(view.openingCard));
+}
+
+function getFewestOpponentCards(view) {
+  const counts = view.order
+    .filter(id => id !== view.playerId && view.handCounts[id] > 0)
+    .map(id => view.handCounts[id]);
+  return counts.length > 0 ? Math.min(...counts) : 0;
+}
+
+// Easy: uniformly random legal move
+function chooseRandomMove(view) {
+  const moves = getLegalMoves(view);
+  if (moves.length === 0) return null;
+  return moves[Math.floor(Math.random() * moves.length)];
+}
+
+// How badly a move breaks up the rest of the hand
+function getBreakPenalty(hand, cards, combo) {
+  const handCounts = {};
+  hand.forEach(card => {
+    const { rankValue } = parseCard(card);
+    handCounts[rankValue] = (handCounts[rankValue] || 0) + 1;
+  });
+
+  const moveCounts = {};
+  cards.forEach(card => {
+    const { rankValue } = parseCard(card);
+    moveCounts[rankValue] = (moveCounts[rankValue] || 0) + 1;
+  });
+
+  let penalty = 0;
+  Object.entries(moveCounts).forEach(([rankValue, used]) => {
+    const held = handCounts[rankValue];
+    // Splitting a pair or triple
+    if (held >= 2 && used < held) penalty += BREAK_PENALTY;
+
+    // Pulling a single out of a run of three
+    const value = Number(rankValue);
+    const inRun = [[-2, -1], [-1, 1], [1, 2]].some(([a, b]) => handCounts[value + a] && handCounts[value + b]);
+    if (combo.type === 'single' && inRun && value !== RANK_ORDER['2']) penalty += BREAK_PENALTY / 3;
+  });
+
+  return penalty;
+}
+
+// Lower is better
+function scoreMove(view, cards, endgame, fewestOpponentCards) {
+  const combo = validateCombination(cards);
+  const highest = Math.floor(combo.rank / 10);
+  const leading = !view.currentCombination;
+  const twos = cards.filter(card => parseCard(card).rankValue === RANK_ORDER['2']).length;
+
+  let score = leading ? highest : highest * 0.5;
+  score += getBreakPenalty(view.hand, cards, combo);
+
+  if (!endgame) {
+    score += twos * TWO_HOLD_PENALTY;
+    if (isBomb(combo.type)) score += BOMB_HOLD_PENALTY;
+  }
+
+  if (!leading && isChop(combo, view.currentCombination)) {
+    score -= CHOP_BONUS;
+  }
+
+  if (leading) {
+    score -= (cards.length - 1) * SHED_BONUS;
+
+    // Don't lead a low single into an opponent holding one card
+    if (fewestOpponentCards === 1 && combo.type === 'single') {
+      score += RANK_ORDER['2'] - highest;
+    }
+  }
+
+  // Going out is always best
+  if (cards.length === view.hand.length) score -= 100;
+
+  return score;
+}
+
+// Legal moves ordered from most to least attractive for the medium heuristics
+function rankMoves(view) {
+  const moves = getLegalMoves(view);
+  const fewestOpponentCards = getFewestOpponentCards(view);
+  const endgame = view.hand.length <= ENDGAME_HAND_SIZE || fewestOpponentCards <= DANGER_HAND_SIZE;
+
+  return moves
+    .map(cards => ({ cards, score: scoreMove(view, cards, endgame, fewestOpponentCards) }))
+    .sort((a, b) => a.score - b.score);
+}
+
+// Medium: keep combos together, hold 2s and bombs for the endgame, lead low
+function chooseHeuristicMove(view) {
+  const ranked = rankMoves(view);
+  if (ranked.length === 0) return null;
+
+  const fewestOpponentCards = getFewestOpponentCards(view);
+  const endgame = view.hand.length <= ENDGAME_HAND_SIZE || fewestOpponentCards <= DANGER_HAND_SIZE;
+
+  // When responding, pass rather than waste 2s, bombs or combos
+  if (view.currentCombination && !endgame && ranked[0].score > PASS_THRESHOLD) {
+    return null;
+  }
+
+  return ranked[0].cards;
+}
+
+function shuffle(cards) {
+  const shuffled = [...cards];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Deal the unseen cards to the opponents so every hand has the size the bot can see
+function determinize(view) {
+  const pool = shuffle(view.unseenCards);
+  const hands = { [view.playerId]: view.hand };
+
+  view.order.forEach(id => {
+    if (id === view.playerId) return;
+    hands[id] = pool.splice(0, view.handCounts[id] || 0);
+  });
+
+  return hands;
+}
+
+// 1 for finishing first, 0 for finishing last
+function getPlacementScore(state, playerId) {
+  const players = state.order.length;
+  let place = state.placements.indexOf(playerId);
+  if (place === -1) {
+    // Unfinished rollout: rank by cards left
+    place = state.order.filter(id => state.hands[id].length < state.hands[playerId].length).length;
+  }
+  return players > 1 ? (players - 1 - place) / (players - 1) : 1;
+}
+
+// Hard: Monte Carlo determinization. The best medium candidates (and passing) are
+// each played out against the same sampled opponent hands with medium play.
+// Returns the search state, or { move } when there's nothing to search.
+function startSearch(view) {
+  const ranked = rankMoves(view);
+  if (ranked.length === 0) return { move: null };
+
+  const candidates = ranked.slice(0, SEARCH_MAX_CANDIDATES).map(move => move.cards);
+  if (view.currentCombination) candidates.push(null);
+  if (candidates.length === 1) return { move: candidates[0] };
+
+  return { view, candidates, totals: candidates.map(() => 0), samples: 0, next: 0, hands: null };
+}
+
+// Play the next candidate out, every candidate of a sample against the same opponent hands
+function runSearchStep(search) {
+  const { view, candidates, totals } = search;
+  if (search.next === 0) search.hands = determinize(view);
+
+  const index = search.next;
+  const state = createSimulation({ ...view, hands: search.hands, turn: view.playerId });
+  applyMove(state, view.playerId, candidates[index]);
+  runSimulation(state, chooseHeuristicMove);
+  totals[index] += getPlacementScore(state, view.playerId);
+
+  search.next = (index + 1) % candidates.length;
+  if (search.next === 0) search.samples++;
+}
+
+// Out of budget, and the last sample has been played out for every candidate
+function isSearchDone(search, deadline, maxSamples) {
+  return search.next === 0 && (search.samples >= maxSamples || Date.now() >= deadline);
+}
+
+function getSearchMove(search) {
+  if (!search.candidates) return search.move;
+  const bestIndex = search.totals.indexOf(Math.max(...search.totals));
+  return search.candidates[bestIndex];
+}
+
+function chooseSearchMove(view, { timeBudgetMs = SEARCH_TIME_BUDGET_MS, maxSamples = SEARCH_MAX_SAMPLES } = {}) {
+  const search = startSearch(view);
+  if (!search.candidates) return search.move;
+
+  const deadline = Date.now() + timeBudgetMs;
+  while (!isSearchDone(search, deadline, maxSamples)) {
+    runSearchStep(search);
+  }
+
+  return getSearchMove(search);
+}
+
+// The same search one rollout per event loop tick, resolves with the move.
+// Rejects with the signal's reason once the signal is aborted.
+function chooseSearchMoveInSteps(view, { timeBudgetMs = LIVE_SEARCH_TIME_BUDGET_MS, maxSamples = LIVE_SEARCH_MAX_SAMPLES, signal } = {}) {
+  const search = startSearch(view);
+  if (!search.candidates) return Promise.resolve(search.move);
+
+  const deadline = Date.now() + timeBudgetMs;
+  return new Promise((resolve, reject) => {
+    const step = () => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      try {
+        runSearchStep(search);
+        if (isSearchDone(search, deadline, maxSamples)) {
+          resolve(getSearchMove(search));
+        } else {
+          setImmediate(step);
+        }
+      } catch (error) {
+        reject(error);
+      }
+    };
+    setImmediate(step);
+  });
+}
+
+const BOT_STRATEGIES = {
+  easy: chooseRandomMove,
+  medium: chooseHeuristicMove,
+  hard: chooseSearchMove
+};
+
+// Pick a move for a bot of the given difficulty
+function chooseMoveForDifficulty(view, difficulty = DEFAULT_BOT_DIFFICULTY) {
+  const strategy = BOT_STRATEGIES[difficulty] || BOT_STRATEGIES[DEFAULT_BOT_DIFFICULTY];
+  return strategy(view);
+}
+
+// Pick a move for a bot in a live room: resolves with the move, the hard search
+// runs in steps with the live budget so it never blocks the event loop for long
+function chooseLiveMove(view, difficulty = DEFAULT_BOT_DIFFICULTY, { signal } = {}) {
+  if (difficulty === 'hard') return chooseSearchMoveInSteps(view, { signal });
+  return Promise.resolve(chooseMoveForDifficulty(view, difficulty));
+}
+
+export {
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  BOT_STRATEGIES,
+  chooseMoveForDifficulty,
+  chooseLiveMove,
+  chooseRandomMove,
+  chooseHeuristicMove,
+  chooseSearchMove,
+  chooseSearchMoveInSteps
+};
@@ -1,18 +1,7 @@
-// Simple card utilities for server-side use
+// Simple card utilities for server-side use (deck and dealing)
 // Card format: "RS" where R is rank, S is suit
-
-// Card ranking system
-export const RANK_ORDER = {
-  '3': 1, '4': 2, '5': 3, '6': 4, '7': 5, '8': 6, '9': 7, '10': 8,
-  'J': 9, 'Q': 10, 'K': 11, 'A': 12, '2': 13
-};
-
-export const SUIT_ORDER = {
-  '♠': 1, // Spades (lowest)
-  '♣': 2, // Clubs
-  '♦': 3, // Diamonds
-  '♥': 4  // Hearts (highest)
-};
+// Combination rules live in gameLogic.js
+import crypto from 'crypto';
 
 // Generate a standard 52-card deck
 export function generateDeck() {
@@ -29,28 +18,79 @@ export function generateDeck() {
   return deck;
 }
 
-// Shuffle deck using Fisher-Yates algorithm
-export function shuffleDeck(deck) {
+// Deals are driven by a secret seed. The server publishes sha256(seed) before the deal
+// and reveals the seed when the game ends, so anyone can check the deck wasn't changed:
+//   deck    = generateDeck() order (suits ♠ ♣ ♦ ♥, ranks 3 to 2 within each suit)
+//   stream  = sha256(`${seed}:0`), sha256(`${seed}:1`), ... read as big-endian uint32s
+//   shuffle = Fisher-Yates from the last card down, j = x % (i + 1) using the next x
+//             from the stream below the largest multiple of (i + 1) under 2^32
+export const SHUFFLE_ALGORITHM = 'sha256-counter-fisher-yates-v1';
+
+export function createShuffleSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+export function commitToSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Deterministic source of uniform integers in [0, max) derived from the seed
+function createSeededRandom(seed) {
+  let block = null;
+  let blockIndex = 0;
+  let offset = 0;
+
+  const nextUint32 = () => {
+    if (!block || offset >= block.length) {
+      block = crypto.createHash('sha256').update(`${seed}:${blockIndex++}`).digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+
+  // Rejection sampling keeps every result equally likely
+  return max => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value = nextUint32();
+    while (value >= limit) value = nextUint32();
+    return value % max;
+  };
+}
+
+// Shuffle deck in place using Fisher-Yates, driven by the seed (a fresh random one if omitted)
+export function shuffleDeck(deck, seed = createShuffleSeed()) {
+  const randomInt = createSeededRandom(seed);
   for (let i = deck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = randomInt(i + 1);
     [deck[i], deck[j]] = [deck[j], deck[i]];
   }
+  return deck;
+}
+
+// Pick the seed for the next deal and publish its commitment on the room
+export function prepareShuffle(room) {
+  room.shuffleSeed = createShuffleSeed();
+  room.seedCommitment = commitToSeed(room.shuffleSeed);
+  return room.seedCommitment;
 }
 
-// Deal cards to players
-export function dealCards(room) {
-  const deck = generateDeck();
-  shuffleDeck(deck);
+// Deal cards to players. The same seed and seating always deal the same hands.
+export function dealCards(room, seed = room.shuffleSeed || createShuffleSeed()) {
+  const deck = shuffleDeck(generateDeck(), seed);
 
-  // Deal to all connected players, regardless of seating
-  const players = room.players.filter(p => p.connected);
+  // Deal only to connected players sitting in a chair, in chair order
+  const players = room.players
+    .filter(p => p.connected && p.chair !== null && p.chair !== undefined)
+    .sort((a, b) => a.chair - b.chair);
 
   if (players.length === 0) {
-    console.log(`No connected players to deal cards to in room ${room.id}`);
+    console.log(`No seated players to deal cards to in room ${room.id}`);
     return;
   }
 
-  console.log(`Dealing cards to ${players.length} connected players in room ${room.id}`);
+  console.log(`Dealing cards to ${players.length} seated players in room ${room.id}`);
 
   // In Thirteen (Big Two), each player gets exactly 13 cards
   const cardsPerPlayer = 13;
@@ -79,135 +119,4 @@ export function dealCards(room) {
   });
 }
 
-// Parse card into rank and suit
-function parseCard(card) {
-  const rank = card.slice(0, -1);
-  const suit = card.slice(-1);
-  return {
-    rank,
-    suit,
-    rankValue: RANK_ORDER[rank],
-    suitValue: SUIT_ORDER[suit]
-  };
-}
-
-// Sort cards by rank and suit
-function sortCards(cards) {
-  return [...cards].sort((a, b) => {
-    const cardA = parseCard(a);
-    const cardB = parseCard(b);
-
-    // First compare by rank
-    if (cardA.rankValue !== cardB.rankValue) {
-      return cardA.rankValue - cardB.rankValue;
-    }
-
-    // If ranks are equal, compare by suit
-    return cardA.suitValue - cardB.suitValue;
-  });
-}
-
-// Validate combination
-export function validateCombination(cards) {
-  if (!cards || cards.length === 0) return null;
-
-  const sortedCards = sortCards(cards);
-  const parsedCards = sortedCards.map(parseCard);
-
-  // Single card
-  if (cards.length === 1) {
-    const card = parsedCards[0];
-    return {
-      type: 'single',
-      cards: sortedCards,
-      rank: card.rankValue * 10 + card.suitValue,
-      length: 1
-    };
-  }
-
-  // Pair (two cards of same rank)
-  if (cards.length === 2) {
-    if (parsedCards[0].rankValue === parsedCards[1].rankValue) {
-      const card = parsedCards[0];
-      return {
-        type: 'pair',
-        cards: sortedCards,
-        rank: card.rankValue * 10 + Math.max(card.suitValue, parsedCards[1].suitValue),
-        length: 2
-      };
-    }
-  }
-
-  // Triple (three cards of same rank)
-  if (cards.length === 3) {
-    if (parsedCards.every(c => c.rankValue === parsedCards[0].rankValue)) {
-      const card = parsedCards[0];
-      return {
-        type: 'triple',
-        cards: sortedCards,
-        rank: card.rankValue * 10 + Math.max(...parsedCards.map(c => c.suitValue)),
-        length: 3
-      };
-    }
-  }
-
-  // Quad (four cards of same rank)
-  if (cards.length === 4) {
-    if (parsedCards.every(c => c.rankValue === parsedCards[0].rankValue)) {
-      const card = parsedCards[0];
-      return {
-        type: 'quad',
-        cards: sortedCards,
-        rank: card.rankValue * 10 + Math.max(...parsedCards.map(c => c.suitValue)),
-        length: 4
-      };
-    }
-  }
-
-  // Straight (3+ consecutive cards, NO 2s allowed)
-  if (cards.length >= 3) {
-    // Check for 2s - straights cannot contain 2s
-    if (parsedCards.some(card => card.rankValue === 13)) { // 13 is the value for '2'
-      return null; // Invalid straight - contains 2
-    }
-
-    const isStraight = parsedCards.every((card, index) => {
-      if (index === 0) return true;
-      return card.rankValue === parsedCards[index - 1].rankValue + 1;
-    });
-
-    if (isStraight) {
-      // For straights, use the highest card's rank and suit for comparison
-      const highestCard = parsedCards[parsedCards.length - 1];
-      return {
-        type: 'straight',
-        cards: sortedCards,
-        rank: highestCard.rankValue * 10 + highestCard.suitValue,
-        length: cards.length
-      };
-    }
-  }
-
-  return null; // Invalid combination
-}
-
-// Check if a combination can beat another combination
-export function canBeatCombination(newCombo, currentCombo) {
-  // If no current combination, any valid combination can start
-  if (!currentCombo) return true;
-
-  // Must be same type
-  if (newCombo.type !== currentCombo.type) {
-    return false;
-  }
-
-  // For straights, must have same length
-  if (newCombo.type === 'straight' && newCombo.length !== currentCombo.length) {
-    return false;
-  }
-
-  // Compare ranks for same type combinations
-  return newCombo.rank > currentCombo.rank;
-}
-
 export { generateDeck as makeDeck };
\ No newline at end of file
@@ -1,8 +1,13 @@
 import { rooms } from './roomManager.js';
 import { saveRoomToDB, getRoomsFromDB } from './databaseHelpers.js';
-import { createCleanRoomData } from './roomHelpers.js';
-
-function setupConnectionHandlers(io, supabase) {
+import { emitRoomState } from './roomHelpers.js';
+import { takeAutomaticTurn } from './turnManager.js';
+import { scheduleAutopilot } from './autopilot.js';
+import { appendGameEvent } from './gameLog.js';
+import { resetGame, setPhase, cancelCountdown } from './roomPhases.js';
+import { checkDealAcks } from './dealing.js';
+
+function setupConnectionHandlers(io, storage) {
   io.on("connection", (socket) => {
     socket.on("disconnect", async () => {
       console.log(`User ${socket.id} disconnected`);
@@ -23,11 +28,15 @@ function setupConnectionHandlers(io, supabase) {
           console.log(`Marked player ${socket.id} as disconnected in room ${roomId}`);
 
           // Reset countdown when someone disconnects
-          if (room.countdownInterval) {
-            clearInterval(room.countdownInterval);
-            room.countdownInterval = null;
+          cancelCountdown(io, room);
+
+          // Don't hold the deal for a player who left
+          checkDealAcks(io, room);
+
+          // Optionally let a bot take over the hand after a grace period
+          if (room.gameStarted && room.settings?.autopilot && player.hand?.length > 0) {
+            scheduleAutopilot(io, room, player);
           }
-          room.countdownTime = null;
 
           // If it was this player's turn and game is in progress, handle turn passing
           if (room.gameStarted && room.turn === socket.id) {
@@ -37,65 +46,23 @@ function setupConnectionHandlers(io, supabase) {
               if (currentPlayer && !currentPlayer.connected && room.turn === socket.id) {
                 console.log(`Handling turn for disconnected player ${socket.id} in room ${roomId}`);
 
-                // Check if all connected players have left
-                const connectedPlayers = room.players.filter(p => p.connected && p.chair !== null);
+                // Check if all connected (human) players have left
+                const connectedPlayers = room.players.filter(p => p.connected && !p.isBot && p.chair !== null);
 
                 if (connectedPlayers.length === 0) {
                   // All players disconnected, stop the game and go back to waiting state
                   console.log(`All players disconnected in room ${roomId}, stopping game`);
-                  room.gameStarted = false;
-                  room.pile = [];
-                  room.currentCombination = null;
-                  room.winner = null;
-                  room.passes = [];
-                  room.lastPlayer = null;
-                  room.turn = null;
-                  room.round = 1;
-                  room.deckShuffled = false;
-
-                  // Reset all players' ready status
-                  room.players.forEach(player => {
-                    player.ready = false;
-                  });
+                  appendGameEvent(room, 'game_over', { reason: 'abandoned', placements: [...(room.placements || [])] });
+                  resetGame(room);
+                  setPhase(room, 'waiting');
                 } else {
-                  // Pass the turn to the next connected player
-                  const currentIdx = room.players.findIndex(p => p.id === socket.id);
-                  let nextPlayerIdx = (currentIdx + 1) % room.players.length;
-                  let nextPlayer = room.players[nextPlayerIdx];
-
-                  // Find the next connected player
-                  let attempts = 0;
-                  while (!nextPlayer.connected && attempts < room.players.length) {
-                    nextPlayerIdx = (nextPlayerIdx + 1) % room.players.length;
-                    nextPlayer = room.players[nextPlayerIdx];
-                    attempts++;
-                  }
-
-                  if (nextPlayer.connected) {
-                    room.turn = nextPlayer.id;
-                    console.log(`Turn passed to ${nextPlayer.id} after ${socket.id} disconnected`);
-                  } else {
-                    // No connected players found, stop the game
-                    console.log(`No connected players found, stopping game in room ${roomId}`);
-                    room.gameStarted = false;
-                    room.pile = [];
-                    room.currentCombination = null;
-                    room.winner = null;
-                    room.passes = [];
-                    room.lastPlayer = null;
-                    room.turn = null;
-                    room.round = 1;
-                    room.deckShuffled = false;
-
-                    room.players.forEach(player => {
-                      player.ready = false;
-                    });
-                  }
+                  // Pass (or lead the lowest single) on the disconnected player's behalf
+                  takeAutomaticTurn(io, room, socket.id);
                 }
 
                 // Save and broadcast updated room
-                await saveRoomToDB(room, supabase);
-                io.to(roomId).emit("game_update", createCleanRoomData(room));
+                await saveRoomToDB(room, storage);
+                emitRoomState(io, room, "game_update");
               }
             }, 2000); // 2 seconds delay
           }
@@ -109,17 +76,17 @@ function setupConnectionHandlers(io, supabase) {
 
         // Save room changes to database
         if (roomChanged) {
-          await saveRoomToDB(room, supabase);
+          await saveRoomToDB(room, storage);
           console.log(`Saved room changes for ${roomId} to database`);
         }
 
         // Broadcast room update
-        io.to(roomId).emit("room_update", createCleanRoomData(room));
+        emitRoomState(io, room, "room_update");
         console.log(`Broadcasted room update for ${roomId}`);
       }
 
       // Broadcast updated room list
-      const roomsList = await getRoomsFromDB(supabase);
+      const roomsList = await getRoomsFromDB(storage);
       io.emit("rooms_list", roomsList);
       console.log(`Broadcasted updated room list`);
     });
@@ -1,16 +1,43 @@
-// Database helper functions
-async function saveRoomToDB(room, supabaseClient) {
-  try {
-    console.log('saveRoomToDB called with room:', {
-      id: room.id,
-      name: room.name,
-      playersCount: room.players?.length || 0
+// Database helper functions, on top of whichever storage backend is configured (storage.js)
+
+// Saves per room id: the one being written and the one waiting for it
+const roomSaves = new Map();
+
+// Save the room. A room writes one record at a time, so a slow save can't land after a
+// newer one: a save requested while another is running waits for it, and every save
+// requested meanwhile is folded into that one, which writes the room as it is by then.
+function saveRoomToDB(room, storage) {
+  let saves = roomSaves.get(room.id);
+  if (!saves) {
+    saves = { running: null, queued: null };
+    roomSaves.set(room.id, saves);
+  }
+
+  if (saves.queued) return saves.queued;
+
+  const start = () => {
+    saves.queued = null;
+    const running = writeRoomToDB(room, storage);
+    saves.running = running;
+    running.then(() => {
+      if (saves.running !== running) return;
+      saves.running = null;
+      if (!saves.queued) roomSaves.delete(room.id);
     });
+    return running;
+  };
 
+  if (!saves.running) return start();
+  saves.queued = saves.running.then(start);
+  return saves.queued;
+}
+
+async function writeRoomToDB(room, storage) {
+  try {
     // Get connected socket IDs for better tracking
     const connectedSocketIds = [];
     room.players.forEach(p => {
-      if (p.connected) connectedSocketIds.push(p.id);
+      if (p.connected && !p.isBot) connectedSocketIds.push(p.id);
     });
 
     // Prepare players data for database
@@ -20,7 +47,13 @@ async function saveRoomToDB(room, supabaseClient) {
       name: player.name,
       hand: player.hand || [],
       connected: player.connected,
+      chair: player.chair ?? null,
       ready: player.ready,
+      cardsPlayed: player.cardsPlayed || 0,
+      timeBank: player.timeBank ?? null,
+      isBot: player.isBot || false,
+      difficulty: player.difficulty,
+      sessionTokenHash: player.sessionTokenHash || null,
       profilePic: player.profilePic
     }));
 
@@ -40,49 +73,43 @@ async function saveRoomToDB(room, supabaseClient) {
         passes: room.passes,
         lastPlayer: room.lastPlayer,
         winner: room.winner,
+        placements: room.placements,
+        previousWinner: room.previousWinner,
+        openingCard: room.openingCard,
+        chops: room.chops,
+        playedCards: room.playedCards,
+        scoreSheets: room.scoreSheets,
+        gameLogs: room.gameLogs,
+        sessionScores: room.sessionScores,
         round: room.round,
-        deckShuffled: room.deckShuffled
+        deckShuffled: room.deckShuffled,
+        phase: room.phase,
+        seedCommitment: room.seedCommitment,
+        revealedShuffle: room.revealedShuffle,
+        chairs: room.chairs,
+        hostUserId: room.hostUserId,
+        settings: room.settings
       },
     };
 
-    console.log('Attempting to upsert room data:', JSON.stringify(upsertData, null, 2));
-
-    const { data, error } = await supabaseClient
-      .from('thirteen_rooms')
-      .upsert(upsertData, {
-        onConflict: 'room_id'
-      });
-
-    if (error) {
-      console.error('Error saving room to DB:', error);
-      // If it's a foreign key constraint error, log it but don't crash
-      if (error.code === '23503') {
-        console.log('Foreign key constraint error - likely invalid user UUID. Room saved in memory only.');
-        return { success: true, inMemoryOnly: true };
-      }
-      return { success: false, error };
-    }
+    await storage.upsertRoom(upsertData);
 
     console.log('Successfully saved room to database:', room.id);
     return { success: true };
   } catch (err) {
-    console.error('Error in saveRoomToDB:', err);
+    console.error('Error saving room to DB:', err);
+    // If it's a foreign key constraint error, log it but don't crash
+    if (err.code === '23503') {
+      console.log('Foreign key constraint error - likely invalid user UUID. Room saved in memory only.');
+      return { success: true, inMemoryOnly: true };
+    }
     return { success: false, error: err };
   }
 }
 
-async function loadRoomFromDB(roomId, supabaseClient) {
+async function loadRoomFromDB(roomId, storage) {
   try {
-    const { data, error } = await supabaseClient
-      .from('thirteen_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
-
-    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-      console.error('Error loading room from DB:', error);
-      return null;
-    }
+    const data = await storage.getRoom(roomId);
 
     if (!data) {
       return null;
@@ -97,18 +124,9 @@ async function loadRoomFromDB(roomId, supabaseClient) {
 }
 
 
-async function getRoomsFromDB(supabaseClient) {
+async function getRoomsFromDB(storage) {
   try {
-    const { data, error } = await supabaseClient
-      .from('thirteen_rooms')
-      .select('*')
-      .order('id', { ascending: false });
-
-    if (error) {
-      console.error('Error getting rooms from DB:', error);
-      // Return default rooms if database error
-      return getDefaultRooms();
-    }
+    const data = await storage.listRooms();
 
     if (!data || data.length === 0) {
       console.log('No rooms found in database, returning default rooms');
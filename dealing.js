@@ -0,0 +1,167 @@
+// Dealing phase: the server deals on its own timer after game_started, so a room never
+// waits on one client's animation. With dealAckTimeout set, the deal happens as soon as
+// every connected seated player has acked with deal_cards (or when the timeout runs out).
+import { getSeatedPlayers, persistRoom } from './roomManager.js';
+import { dealCards, prepareShuffle } from './cardUtils.js';
+import { sortCards, detectInstantWin } from './gameLogic.js';
+import { emitRoomState } from './roomHelpers.js';
+import { beginTurn, getNextPlayerId, endGame } from './turnManager.js';
+import { startGameLog } from './gameLog.js';
+import { setPhase } from './roomPhases.js';
+
+// The previous game's winner leads if they were dealt in again. Otherwise (first game,
+// or the winner left) the holder of the lowest dealt card leads and must include it in
+// the opening play. That card is 3♠, unless fewer than 4 players left it undealt.
+function setupOpeningTurn(room) {
+  const dealtPlayers = getSeatedPlayers(room).filter(p => p.hand?.length > 0);
+  room.openingCard = null;
+
+  if (dealtPlayers.length === 0) {
+    room.turn = null;
+    return;
+  }
+
+  const previousWinner = dealtPlayers.find(p => p.id === room.previousWinner);
+  if (previousWinner) {
+    room.turn = previousWinner.id;
+    return;
+  }
+
+  const lowestCard = sortCards(dealtPlayers.flatMap(p => p.hand))[0];
+  room.turn = dealtPlayers.find(p => p.hand.includes(lowestCard)).id;
+  room.openingCard = lowestCard;
+}
+
+// Look for an instant-win hand, starting with the player who leads and going clockwise.
+// Returns { player, pattern } or null.
+function findInstantWinner(room) {
+  const enabledPatterns = room.settings?.instantWins || [];
+  if (enabledPatterns.length === 0) return null;
+
+  const dealtPlayers = getSeatedPlayers(room).filter(p => p.hand?.length > 0);
+  const leadIndex = Math.max(0, dealtPlayers.findIndex(p => p.id === room.turn));
+  const ordered = [...dealtPlayers.slice(leadIndex), ...dealtPlayers.slice(0, leadIndex)];
+
+  for (const player of ordered) {
+    const pattern = detectInstantWin(player.hand, enabledPatterns);
+    if (pattern) return { player, pattern };
+  }
+
+  return null;
+}
+
+// Start the dealing timer (does nothing if one is already running)
+function scheduleDeal(io, room) {
+  if (room.dealTimer || room.phase !== 'dealing') return;
+
+  const ackTimeout = room.settings?.dealAckTimeout || 0;
+  const waitSeconds = ackTimeout > 0 ? ackTimeout : (room.settings?.dealDelay ?? 0);
+  room.dealAcks = room.dealAcks || [];
+  room.dealDeadline = Date.now() + waitSeconds * 1000;
+  console.log(`Dealing in room ${room.id} in ${waitSeconds}s${ackTimeout > 0 ? ' or once every player acks' : ''}`);
+
+  room.dealTimer = setTimeout(() => {
+    room.dealTimer = null;
+    if (room.phase !== 'dealing') return;
+
+    const missing = getPendingAcks(room);
+    if (ackTimeout > 0 && missing.length > 0) {
+      console.log(`Deal ack timeout in room ${room.id}, dealing without`, missing.map(p => p.id));
+    }
+    dealRoom(io, room);
+  }, waitSeconds * 1000);
+}
+
+// Stop the dealing timer and forget the acks
+function clearDealTimer(room) {
+  if (room.dealTimer) {
+    clearTimeout(room.dealTimer);
+    room.dealTimer = null;
+  }
+  room.dealAcks = [];
+  room.dealDeadline = null;
+}
+
+// Connected seated players the deal is still waiting on (bots never ack)
+function getPendingAcks(room) {
+  const acks = room.dealAcks || [];
+  return getSeatedPlayers(room).filter(p => p.connected && !p.isBot && !acks.includes(p.id));
+}
+
+// A seated player's client finished its shuffle animation
+function recordDealAck(io, room, playerId) {
+  if (!room.dealAcks) room.dealAcks = [];
+  if (!room.dealAcks.includes(playerId)) {
+    room.dealAcks.push(playerId);
+  }
+  checkDealAcks(io, room);
+}
+
+// Deal right away once nobody is left to wait for. Also called when a player
+// disconnects mid-deal, so their ack isn't waited for.
+function checkDealAcks(io, room) {
+  if (room.phase !== 'dealing' || !(room.settings?.dealAckTimeout > 0)) return;
+  if (getPendingAcks(room).length > 0) return;
+
+  console.log(`Every player acked the deal in room ${room.id}`);
+  dealRoom(io, room);
+}
+
+// Deal the committed shuffle, pick who leads and start the first turn
+function dealRoom(io, room) {
+  clearDealTimer(room);
+
+  console.log(`Dealing cards to ${room.players.length} players in room ${room.id}`);
+  console.log(`Players before dealing:`, room.players.map(p => ({ name: p.name, connected: p.connected, handLength: p.hand?.length || 0 })));
+
+  // The seed is never stored, so a room restored mid-start commits to a fresh one
+  if (!room.shuffleSeed) prepareShuffle(room);
+  dealCards(room, room.shuffleSeed);
+
+  // Every player starts the game with a full time bank
+  room.players.forEach(player => {
+    player.timeBank = room.settings.timeBank;
+  });
+
+  // Set the first player
+  setupOpeningTurn(room);
+  setPhase(room, 'playing');
+  startGameLog(room, { seedCommitment: room.seedCommitment });
+
+  console.log(`Cards dealt. Players after dealing:`, room.players.map(p => ({ name: p.name, handLength: p.hand?.length || 0 })));
+  console.log(`First player (turn): ${room.turn}, opening card: ${room.openingCard || 'none'}`);
+
+  persistRoom(room);
+  emitRoomState(io, room, "cards_dealt");
+
+  // An instant-win hand ends the game before anyone plays
+  const instantWin = findInstantWinner(room);
+  if (instantWin) {
+    const { player, pattern } = instantWin;
+    console.log(`Instant win (${pattern}) for ${player.id} in room ${room.id}`);
+
+    // Everyone else keeps their full hand and places clockwise from the winner
+    room.placements = [player.id];
+    let nextPlayerId = getNextPlayerId(room, player.id);
+    while (nextPlayerId && !room.placements.includes(nextPlayerId)) {
+      room.placements.push(nextPlayerId);
+      nextPlayerId = getNextPlayerId(room, nextPlayerId);
+    }
+
+    room.winnerLastCards = player.hand;
+    endGame(io, room, 'instant_win', { pattern });
+    return;
+  }
+
+  beginTurn(io, room);
+}
+
+export {
+  setupOpeningTurn,
+  findInstantWinner,
+  scheduleDeal,
+  clearDealTimer,
+  recordDealAck,
+  checkDealAcks,
+  dealRoom
+};
@@ -1,124 +1,96 @@
-import { getRoom, getStartingPlayerForRoom } from './roomManager.js';
-import { dealCards } from './cardUtils.js';
-// Bot functionality removed - no bots in this game
-import { createCleanRoomData } from './roomHelpers.js';
-
-function setupGameHandlers(io, supabase) {
+import { getRoom, getSeatedPlayers } from './roomManager.js';
+import { emitRoomState } from './roomHelpers.js';
+import { onCommand, accept, reject } from './actionResults.js';
+import { checkPhase, startGame } from './roomPhases.js';
+import { recordDealAck } from './dealing.js';
+import { checkPermission } from './permissions.js';
+
+function setupGameHandlers(io, storage) {
   io.on("connection", (socket) => {
-    socket.on("start_game", async (roomId) => {
+    onCommand(socket, "start_game", async (roomId) => {
       const room = await getRoom(roomId);
-      if (!room) return; // Room might have been cleaned up
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
+
+      const forbidden = checkPermission(room, socket, 'start_game');
+      if (forbidden) return forbidden;
+
+      const wrongPhase = checkPhase(room, 'start_game');
+      if (wrongPhase) return wrongPhase;
 
       // Ensure room properties are initialized
       if (!room.players) room.players = [];
 
-      // Check if all connected players are ready
-      const connectedPlayers = room.players.filter(p => p.connected);
-      if (connectedPlayers.length < 2) return; // Need at least 2 players
+      // Check if all connected seated players are ready
+      const connectedPlayers = getSeatedPlayers(room).filter(p => p.connected);
+      if (connectedPlayers.length < 2) {
+        return reject('NOT_ENOUGH_PLAYERS', { seated: connectedPlayers.length }); // Need at least 2 players
+      }
 
       const allPlayersReady = connectedPlayers.every(p => p.ready);
-      if (!allPlayersReady) return; // All players must be ready
-
-      // Reset game state completely before starting new game
-      room.gameStarted = true;
-      room.pile = [];
-      room.currentCombination = null;
-      room.winner = null;
-      room.passes = [];
-      room.lastPlayer = null;
-      room.turn = null;
-      room.round = 1; // Reset round counter to 1
-      room.deckShuffled = true; // Flag to indicate deck is ready
-
-      // Clear all players' hands to ensure clean slate
-      room.players.forEach(player => {
-        player.hand = [];
-        player.ready = false; // Reset ready status for new game
-      });
+      if (!allPlayersReady) {
+        return reject('PLAYERS_NOT_READY', { notReady: connectedPlayers.filter(p => !p.ready).map(p => p.id) });
+      }
 
       console.log(`Game started in room ${roomId} with ${connectedPlayers.length} players`);
-      io.to(roomId).emit("game_started", createCleanRoomData(room));
+      startGame(io, room);
+      return accept();
     });
 
     // Add explicit restart_game handler for better game restart flow
-    socket.on("restart_game", async (roomId) => {
+    onCommand(socket, "restart_game", async (roomId) => {
       const room = await getRoom(roomId);
-      if (!room) return; // Room might have been cleaned up
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
+
+      const forbidden = checkPermission(room, socket, 'restart_game');
+      if (forbidden) return forbidden;
+
+      const wrongPhase = checkPhase(room, 'restart_game');
+      if (wrongPhase) return wrongPhase;
 
       // Ensure room properties are initialized
       if (!room.players) room.players = [];
 
-      // Check if there are enough connected players
-      const connectedPlayers = room.players.filter(p => p.connected);
+      // Check if there are enough connected seated players
+      const connectedPlayers = getSeatedPlayers(room).filter(p => p.connected);
       if (connectedPlayers.length < 2) {
-        // Allow single player to restart (for testing/development)
-        console.log(`Allowing single player restart in room ${roomId}`);
+        return reject('NOT_ENOUGH_PLAYERS', { seated: connectedPlayers.length }); // Need at least 2 players
       }
 
       // Check if all connected players are ready
       const allPlayersReady = connectedPlayers.every(p => p.ready);
       if (!allPlayersReady) {
-        socket.emit("error", "All players must be ready to restart the game");
-        return;
+        return reject('PLAYERS_NOT_READY', { notReady: connectedPlayers.filter(p => !p.ready).map(p => p.id) });
       }
 
-      // Reset game state completely
-      room.gameStarted = true;
-      room.pile = [];
-      room.currentCombination = null;
-      room.winner = null;
-      room.winnerLastCards = null; // Clear winner's last cards
-      room.passes = [];
-      room.lastPlayer = null;
-      room.turn = null;
-      room.round = 1;
-      room.deckShuffled = true;
-
-      // Clear all players' hands and reset ready status
-      room.players.forEach(player => {
-        player.hand = [];
-        player.ready = false;
-      });
-
       console.log(`Game restarted in room ${roomId} with ready check`);
 
       // Emit restart event first
-      io.to(roomId).emit("game_restarted", createCleanRoomData(room));
+      startGame(io, room, "game_restarted");
 
       // Small delay before emitting game_started to allow client to process restart
       setTimeout(() => {
-        io.to(roomId).emit("game_started", createCleanRoomData(room));
+        emitRoomState(io, room, "game_started");
       }, 100);
+      return accept();
     });
 
-    // New event to deal cards after animation completes
-    socket.on("deal_cards", async (roomId) => {
-      console.log(`deal_cards event received for room ${roomId}`);
+    // Seated clients ack once their shuffle animation is done. The server deals on its
+    // own timer, acks only let it deal early when the room waits for them.
+    onCommand(socket, "deal_cards", async (roomId) => {
       const room = await getRoom(roomId);
-      if (!room) {
-        console.log(`Room ${roomId} not found for deal_cards`);
-        return; // Room might have been cleaned up
-      }
-      if (!room.gameStarted || !room.deckShuffled) {
-        console.log(`Game not started or deck not shuffled for room ${roomId}`);
-        return;
-      }
-
-      console.log(`Dealing cards to ${room.players.length} players in room ${roomId}`);
-      console.log(`Players before dealing:`, room.players.map(p => ({ name: p.name, connected: p.connected, handLength: p.hand?.length || 0 })));
-
-      dealCards(room);
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
 
-      // Set the first player
-      room.turn = getStartingPlayerForRoom(room);
-      room.deckShuffled = false; // Reset flag
+      const forbidden = checkPermission(room, socket, 'deal_cards');
+      if (forbidden) return forbidden;
 
-      console.log(`Cards dealt. Players after dealing:`, room.players.map(p => ({ name: p.name, handLength: p.hand?.length || 0, hand: p.hand })));
-      console.log(`First player (turn): ${room.turn}`);
+      const wrongPhase = checkPhase(room, 'deal_cards');
+      if (wrongPhase) return wrongPhase;
 
-      io.to(roomId).emit("cards_dealt", createCleanRoomData(room));
+      // Late acks after the deal are fine
+      if (room.phase !== 'dealing') return accept({ alreadyDealt: true });
 
-      // Bot functionality removed - no bots in this game
+      recordDealAck(io, room, socket.id);
+      return accept({ alreadyDealt: room.phase !== 'dealing', dealDeadline: room.dealDeadline });
     });
   });
 }
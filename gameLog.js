@@ -0,0 +1,156 @@
+// Append-only event log for every game. The deal records every hand, then each play,
+// pass, chop, finish and round reset is appended with a sequence number and timestamp.
+// Replaying the log through the headless engine rebuilds the game state at any point,
+// which is what disputes, replays and analytics work from.
+import { createSimulation, applyMove } from './simulation.js';
+
+const MAX_GAME_LOGS = 10; // Games kept per room, oldest dropped first
+
+function getCurrentGameLog(room) {
+  return room.gameLogs?.[room.gameLogs.length - 1] || null;
+}
+
+// Open a new log for the game that was just dealt
+// The deal only records the seed commitment, the seed itself is logged at game over.
+function startGameLog(room, { seedCommitment = null } = {}) {
+  if (!room.gameLogs) room.gameLogs = [];
+
+  const startedAt = Date.now();
+  room.gameLogs.push({
+    gameId: `${room.id}_${startedAt}`,
+    roomId: room.id,
+    startedAt,
+    finishedAt: null,
+    events: []
+  });
+  if (room.gameLogs.length > MAX_GAME_LOGS) {
+    room.gameLogs.shift();
+  }
+
+  // Seat order and hands as dealt, enough to replay the whole game
+  const seated = room.players
+    .filter(p => p.hand?.length > 0)
+    .sort((a, b) => a.chair - b.chair);
+  const hands = {};
+  seated.forEach(p => {
+    hands[p.id] = [...p.hand];
+  });
+
+  return appendGameEvent(room, 'deal', {
+    seedCommitment,
+    order: seated.map(p => p.id),
+    players: seated.map(p => ({ playerId: p.id, userId: p.userId || null, name: p.name, chair: p.chair })),
+    hands,
+    turn: room.turn,
+    openingCard: room.openingCard || null
+  });
+}
+
+// Append an event to the current game's log. Returns the event, or null when no game is logged.
+function appendGameEvent(room, type, data = {}) {
+  const log = getCurrentGameLog(room);
+  if (!log || log.finishedAt) return null;
+
+  const event = {
+    seq: log.events.length + 1,
+    timestamp: Date.now(),
+    type,
+    ...data
+  };
+  log.events.push(event);
+
+  if (type === 'game_over') {
+    log.finishedAt = event.timestamp;
+  }
+  return event;
+}
+
+// A reconnecting player gets a new socket id mid-game
+function renamePlayer(state, previousId, playerId) {
+  const swap = id => (id === previousId ? playerId : id);
+  state.hands[playerId] = state.hands[previousId];
+  delete state.hands[previousId];
+  state.order = state.order.map(swap);
+  state.passes = state.passes.map(swap);
+  state.placements = state.placements.map(swap);
+  state.turn = swap(state.turn);
+  state.lastPlayer = swap(state.lastPlayer);
+}
+
+// Game state of a log right after its deal, for applyGameEvent to advance
+function startGameReplay(log) {
+  const [deal] = log.events;
+  if (!deal || deal.type !== 'deal') {
+    throw new Error(`Game log ${log.gameId} doesn't start with a deal`);
+  }
+
+  const state = createSimulation({
+    hands: deal.hands,
+    order: deal.order,
+    turn: deal.turn,
+    openingCard: deal.openingCard
+  });
+  state.round = 1;
+  state.chops = [];
+  state.seq = deal.seq;
+  return state;
+}
+
+// Advance a replayed state by the next event of its log
+function applyGameEvent(state, event) {
+  state.seq = event.seq;
+
+  switch (event.type) {
+    case 'play':
+      // Chopping out of turn brings a player who had passed back into the round
+      if (event.outOfTurn) {
+        state.passes = state.passes.filter(id => id !== event.playerId);
+      }
+      state.turn = event.playerId;
+      applyMove(state, event.playerId, event.cards);
+      break;
+    case 'pass':
+      applyMove(state, event.playerId, null);
+      break;
+    case 'round_reset':
+      state.round = event.round;
+      break;
+    case 'chop':
+      state.chops.push(event.chop);
+      break;
+    case 'player_replaced':
+      renamePlayer(state, event.previousId, event.playerId);
+      break;
+    case 'game_over':
+      // Instant wins and abandoned games end without the cards being played out
+      state.placements = [...event.placements];
+      state.finished = true;
+      state.turn = null;
+      break;
+    default:
+      break; // 'finish' follows from the plays
+  }
+  return state;
+}
+
+// Rebuild the game state from a log, optionally only up to (and including) event upToSeq
+function replayGameLog(log, upToSeq = Infinity) {
+  const state = startGameReplay(log);
+
+  for (const event of log.events.slice(1)) {
+    if (event.seq > upToSeq) break;
+    applyGameEvent(state, event);
+  }
+
+  return state;
+}
+
+export {
+  MAX_GAME_LOGS,
+  getCurrentGameLog,
+  startGameLog,
+  appendGameEvent,
+  startGameReplay,
+  applyGameEvent,
+  replayGameLog
+};
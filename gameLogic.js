@@ -1,5 +1,6 @@
 // Thirteen (Tien Len) Game Logic for Server
-// Simplified version with only functions needed for server-side operations
+// Single source of truth for combination detection, comparison and move generation.
+// Both the human play path (playHandlers) and the bot AI (botLogic) go through this module.
 
 // Card ranking system
 const RANK_ORDER = {
@@ -14,6 +15,15 @@ const SUIT_ORDER = {
   '♥': 4  // Hearts (highest)
 };
 
+const TWO_RANK_VALUE = RANK_ORDER['2'];
+
+// Bombs, weakest first (3 consecutive pairs < four of a kind < 4 consecutive pairs)
+const BOMB_POWER = {
+  'three_pairs': 1,
+  'four_of_kind': 2,
+  'four_pairs': 3
+};
+
 // Parse card into rank and suit
 function parseCard(card) {
   const rank = card.slice(0, -1);
@@ -45,134 +55,93 @@ function sortCards(cards) {
   return [...cards].sort(compareCards);
 }
 
+// Combinations are compared by their highest card: rank first, then suit
+function cardStrength(parsed) {
+  return parsed.rankValue * 10 + parsed.suitValue;
+}
+
+// Number of pairs if the (sorted) cards form consecutive pairs without 2s, otherwise 0
+function countConsecutivePairs(parsedCards) {
+  if (parsedCards.length < 6 || parsedCards.length % 2 !== 0) return 0;
+
+  for (let i = 0; i < parsedCards.length; i += 2) {
+    const first = parsedCards[i];
+    const second = parsedCards[i + 1];
+    if (first.rankValue !== second.rankValue) return 0;
+    if (first.rankValue === TWO_RANK_VALUE) return 0;
+    if (i > 0 && first.rankValue !== parsedCards[i - 2].rankValue + 1) return 0;
+  }
+
+  return parsedCards.length / 2;
+}
+
 // Validate combination
 function validateCombination(cards) {
   if (!cards || cards.length === 0) return null;
 
   const sortedCards = sortCards(cards);
   const parsedCards = sortedCards.map(parseCard);
+  const highestCard = parsedCards[parsedCards.length - 1];
+  const sameRank = parsedCards.every(c => c.rankValue === parsedCards[0].rankValue);
 
   // Single card
   if (cards.length === 1) {
-    const card = parsedCards[0];
     return {
       type: 'single',
       cards: sortedCards,
-      rank: card.rankValue * 10 + card.suitValue,
+      rank: cardStrength(highestCard),
       length: 1
     };
   }
 
   // Pair
-  if (cards.length === 2 && parsedCards[0].rankValue === parsedCards[1].rankValue) {
-    const card = parsedCards[0];
+  if (cards.length === 2 && sameRank) {
     return {
       type: 'pair',
       cards: sortedCards,
-      rank: card.rankValue * 10 + Math.max(card.suitValue, parsedCards[1].suitValue),
+      rank: cardStrength(highestCard),
       length: 2
     };
   }
 
   // Triple
-  if (cards.length === 3 && parsedCards[0].rankValue === parsedCards[1].rankValue &&
-      parsedCards[1].rankValue === parsedCards[2].rankValue) {
-    const card = parsedCards[0];
+  if (cards.length === 3 && sameRank) {
     return {
       type: 'triple',
       cards: sortedCards,
-      rank: card.rankValue * 10 + Math.max(...parsedCards.map(c => c.suitValue)),
+      rank: cardStrength(highestCard),
       length: 3
     };
   }
 
-  // Quad
-  if (cards.length === 4 && parsedCards.every(c => c.rankValue === parsedCards[0].rankValue)) {
-    const card = parsedCards[0];
+  // Four of a kind (bomb)
+  if (cards.length === 4 && sameRank) {
     return {
-      type: 'quad',
+      type: 'four_of_kind',
       cards: sortedCards,
-      rank: card.rankValue * 10 + Math.max(...parsedCards.map(c => c.suitValue)),
-      length: 4
+      rank: cardStrength(highestCard),
+      length: 4,
+      power: BOMB_POWER.four_of_kind
     };
   }
 
-  // Four of a kind
-  if (cards.length === 4) {
-    const rankGroups = {};
-    sortedCards.forEach((card, index) => {
-      const parsed = parsedCards[index];
-      if (!rankGroups[parsed.rankValue]) {
-        rankGroups[parsed.rankValue] = [];
-      }
-      rankGroups[parsed.rankValue].push(card);
-    });
-
-    // Check if any rank has exactly 4 cards
-    for (const rank in rankGroups) {
-      if (rankGroups[rank].length === 4) {
-        const rankValue = parseInt(rank);
-        return {
-          type: 'four_of_kind',
-          cards: sortedCards,
-          rank: rankValue * 10 + 3,
-          length: 4,
-          power: 2
-        };
-      }
-    }
-  }
-
-  // Three pairs
-  if (cards.length === 6) {
-    const pairs = getPairsFromCardsGL(sortedCards, parsedCards);
-    if (pairs.length === 3) {
-      const pairRanks = pairs.map(p => p.rank).sort((a, b) => a - b);
-      const isContinuous = pairRanks.every((rank, index) => {
-        if (index === 0) return true;
-        return rank === pairRanks[index - 1] + 1;
-      });
-
-      if (isContinuous) {
-        const highestRank = pairRanks[pairRanks.length - 1];
-        return {
-          type: 'three_pairs',
-          cards: sortedCards,
-          rank: highestRank * 10 + 1,
-          length: 3,
-          power: 1
-        };
-      }
-    }
-  }
-
-  // Four pairs
-  if (cards.length === 8) {
-    const pairs = getPairsFromCardsGL(sortedCards, parsedCards);
-    if (pairs.length === 4) {
-      const pairRanks = pairs.map(p => p.rank).sort((a, b) => a - b);
-      const isContinuous = pairRanks.every((rank, index) => {
-        if (index === 0) return true;
-        return rank === pairRanks[index - 1] + 1;
-      });
-
-      if (isContinuous) {
-        const highestRank = pairRanks[pairRanks.length - 1];
-        return {
-          type: 'four_pairs',
-          cards: sortedCards,
-          rank: highestRank * 10 + 2,
-          length: 4,
-          power: 3
-        };
-      }
-    }
+  // Three or four consecutive pairs (bombs)
+  const pairCount = countConsecutivePairs(parsedCards);
+  if (pairCount === 3 || pairCount === 4) {
+    const type = pairCount === 3 ? 'three_pairs' : 'four_pairs';
+    return {
+      type,
+      cards: sortedCards,
+      rank: cardStrength(highestCard),
+      length: pairCount,
+      power: BOMB_POWER[type]
+    };
   }
 
   // Straight (3+ consecutive cards, NO 2s allowed)
   if (cards.length >= 3) {
     // Check for 2s - straights cannot contain 2s
-    if (parsedCards.some(card => card.rankValue === 13)) { // 13 is the value for '2'
+    if (parsedCards.some(card => card.rankValue === TWO_RANK_VALUE)) {
       return null; // Invalid straight - contains 2
     }
 
@@ -183,11 +152,10 @@ function validateCombination(cards) {
 
     if (isStraight) {
       // For straights, use the highest card's rank and suit for comparison
-      const highestCard = parsedCards[parsedCards.length - 1];
       return {
         type: 'straight',
         cards: sortedCards,
-        rank: highestCard.rankValue * 10 + highestCard.suitValue,
+        rank: cardStrength(highestCard),
         length: cards.length
       };
     }
@@ -196,29 +164,85 @@ function validateCombination(cards) {
   return null;
 }
 
-// Helper function to extract pairs from cards
-function getPairsFromCardsGL(sortedCards, parsedCards) {
-  const rankGroups = {};
+// Instant wins (tới trắng), checked right after the deal, strongest first
+const INSTANT_WIN_PATTERNS = ['dragon', 'four_twos', 'five_consecutive_pairs', 'six_pairs'];
 
-  sortedCards.forEach((card, index) => {
-    const parsed = parsedCards[index];
-    if (!rankGroups[parsed.rankValue]) {
-      rankGroups[parsed.rankValue] = [];
-    }
-    rankGroups[parsed.rankValue].push(card);
+// Return the first enabled instant-win pattern found in a hand, or null
+function detectInstantWin(hand, enabledPatterns = INSTANT_WIN_PATTERNS) {
+  const rankCounts = {};
+  hand.forEach(card => {
+    const { rankValue } = parseCard(card);
+    rankCounts[rankValue] = (rankCounts[rankValue] || 0) + 1;
   });
+  const count = rankValue => rankCounts[rankValue] || 0;
 
-  const pairs = [];
-  for (const rank in rankGroups) {
-    if (rankGroups[rank].length === 2) {
-      pairs.push({
-        rank: parseInt(rank),
-        cards: rankGroups[rank]
-      });
-    }
-  }
+  const checks = {
+    // Dragon: one of every rank from 3 to A
+    dragon: () => {
+      for (let rankValue = RANK_ORDER['3']; rankValue <= RANK_ORDER['A']; rankValue++) {
+        if (count(rankValue) === 0) return false;
+      }
+      return true;
+    },
+    four_twos: () => count(TWO_RANK_VALUE) === 4,
+    // Five pairs in a row, 2s can't be part of the run
+    five_consecutive_pairs: () => {
+      let run = 0;
+      for (let rankValue = RANK_ORDER['3']; rankValue <= RANK_ORDER['A']; rankValue++) {
+        run = count(rankValue) >= 2 ? run + 1 : 0;
+        if (run >= 5) return true;
+      }
+      return false;
+    },
+    // Six pairs of any ranks (four of a kind counts as two pairs)
+    six_pairs: () => Object.values(rankCounts).reduce((pairs, n) => pairs + Math.floor(n / 2), 0) >= 6
+  };
+
+  return INSTANT_WIN_PATTERNS.find(pattern => enabledPatterns.includes(pattern) && checks[pattern]()) || null;
+}
+
+// Check if combination type is a bomb (special combination)
+function isBomb(type) {
+  return BOMB_POWER[type] !== undefined;
+}
 
-  return pairs;
+// Check if a combination is made only of 2s (single 2, pair of 2s, ...)
+function isTwos(combo) {
+  return combo.cards.every(card => parseCard(card).rankValue === TWO_RANK_VALUE);
+}
+
+// What each bomb may chop (chặt). Bombs also beat weaker bombs of their own type.
+//   three consecutive pairs: a single 2
+//   four of a kind: a single 2, a pair of 2s or three consecutive pairs
+//   four consecutive pairs: a single 2, a pair of 2s, three consecutive pairs or four of a kind
+const CHOP_TARGETS = {
+  'three_pairs': ['single_two'],
+  'four_of_kind': ['single_two', 'pair_two', 'three_pairs'],
+  'four_pairs': ['single_two', 'pair_two', 'three_pairs', 'four_of_kind']
+};
+
+// Describe a combination as a chop target ('single_two', 'pair_two', a bomb type) or null
+function getChopTarget(combo) {
+  if (!combo) return null;
+  if (isTwos(combo) && combo.type === 'single') return 'single_two';
+  if (isTwos(combo) && combo.type === 'pair') return 'pair_two';
+  if (isBomb(combo.type)) return combo.type;
+  return null;
+}
+
+// Check if playing newCombo over currentCombo is a chop (a bomb beating 2s or another bomb).
+// A higher bomb of the same type only chops when the bomb on the table was itself a chop,
+// over a led bomb it's an ordinary higher play.
+function isChop(newCombo, currentCombo, currentIsChop = false) {
+  if (!isBomb(newCombo.type)) return false;
+
+  const target = getChopTarget(currentCombo);
+  if (!target) return false;
+
+  if (target === newCombo.type) {
+    return currentIsChop && newCombo.rank > currentCombo.rank;
+  }
+  return CHOP_TARGETS[newCombo.type].includes(target);
 }
 
 // Check if combination can beat another
@@ -226,35 +250,11 @@ function canBeatCombination(newCombo, currentCombo) {
   // If no current combination, any valid combination can start
   if (!currentCombo) return true;
 
-  // Special case: Check if current combo is a single 2
-  const isCurrentTwo = currentCombo.type === 'single' && parseCard(currentCombo.cards[0]).rankValue === 13;
+  // Bombs chop 2s and weaker bombs
+  if (isChop(newCombo, currentCombo)) return true;
 
-  // Special combinations can beat 2s
-  if (isCurrentTwo) {
-    // 3 pairs can beat 1 card number 2
-    if (newCombo.type === 'three_pairs') {
-      return true;
-    }
-    // 4 pairs can beat up to 2 card number 2
-    if (newCombo.type === 'four_pairs') {
-      return currentCombo.cards.length <= 2;
-    }
-    // Four of a kind can beat up to 2 card number 2
-    if (newCombo.type === 'four_of_kind') {
-      return currentCombo.cards.length <= 2;
-    }
-    // Original bombs still work
-    if (newCombo.type === 'quad') {
-      return true;
-    }
-  }
-
-  // Must be same type (unless it's a special combination beating 2s)
+  // Must be same type
   if (newCombo.type !== currentCombo.type) {
-    // Allow special combinations to beat regular combinations of same type
-    if (isSpecialCombination(newCombo.type) && isSpecialCombination(currentCombo.type)) {
-      return compareSpecialCombinations(newCombo, currentCombo);
-    }
     return false;
   }
 
@@ -267,74 +267,96 @@ function canBeatCombination(newCombo, currentCombo) {
   return newCombo.rank > currentCombo.rank;
 }
 
-// Check if combination type is a special combination
-function isSpecialCombination(type) {
-  return ['three_pairs', 'four_pairs', 'four_of_kind'].includes(type);
-}
+// Every combination type the move generator can produce
+const COMBINATION_TYPES = ['single', 'pair', 'triple', 'four_of_kind', 'three_pairs', 'four_pairs', 'straight'];
 
-// Compare special combinations (4 pairs > Four of a kind > 3 pairs)
-function compareSpecialCombinations(newCombo, currentCombo) {
-  const powerOrder = {
-    'three_pairs': 1,
-    'four_of_kind': 2,
-    'four_pairs': 3
-  };
+// Group a hand by rank value, each group sorted by suit
+function groupByRank(hand) {
+  const groups = {};
+  sortCards(hand).forEach(card => {
+    const { rankValue } = parseCard(card);
+    if (!groups[rankValue]) groups[rankValue] = [];
+    groups[rankValue].push(card);
+  });
+  return groups;
+}
 
-  const newPower = powerOrder[newCombo.type] || 0;
-  const currentPower = powerOrder[currentCombo.type] || 0;
+// Every way to take one option from each list, concatenated
+function combineOptions(optionLists) {
+  return optionLists.reduce(
+    (results, options) => results.flatMap(prefix => options.map(option => [...prefix, ...option])),
+    [[]]
+  );
+}
 
-  // If same type, compare by rank
-  if (newCombo.type === currentCombo.type) {
-    return newCombo.rank > currentCombo.rank;
+// Generate moves straight from the hand's rank groups instead of testing every subset.
+// types limits which combination types are produced, straightLength limits straights
+// to one length (a straight can only be beaten by one of the same length).
+function* generateMoves(hand, types = COMBINATION_TYPES, straightLength = null) {
+  const wanted = new Set(types);
+  const groups = groupByRank(hand);
+
+  // Sets of a single rank: singles, pairs, triples, four of a kind
+  for (let rankValue = RANK_ORDER['3']; rankValue <= TWO_RANK_VALUE; rankValue++) {
+    const group = groups[rankValue];
+    if (!group) continue;
+
+    if (wanted.has('single')) yield* group.map(card => [card]);
+    if (wanted.has('pair') && group.length >= 2) yield* generateCombinations(group, 2);
+    if (wanted.has('triple') && group.length >= 3) yield* generateCombinations(group, 3);
+    if (wanted.has('four_of_kind') && group.length === 4) yield [...group];
   }
 
-  // Different types, compare by power level
-  return newPower > currentPower;
-}
+  // Runs of ranks (never through 2): straights and consecutive pairs
+  for (let start = RANK_ORDER['3']; start < RANK_ORDER['A']; start++) {
+    const singleOptions = [];
+    const pairOptions = [];
 
-// Get all valid moves for a player
-function getValidMoves(playerHand, currentCombo) {
-  const validMoves = [];
+    for (let rankValue = start; rankValue <= RANK_ORDER['A'] && groups[rankValue]; rankValue++) {
+      const group = groups[rankValue];
+      singleOptions.push(group.map(card => [card]));
+      const runLength = singleOptions.length;
 
-  if (!currentCombo) {
-    // Any valid combination is allowed
-    for (let i = 1; i <= playerHand.length; i++) {
-      const combinations = generateCombinations(playerHand, i);
-      combinations.forEach(combo => {
-        if (validateCombination(combo)) {
-          validMoves.push(combo);
+      if (wanted.has('straight') && runLength >= 3 && (!straightLength || runLength === straightLength)) {
+        yield* combineOptions(singleOptions);
+      }
+
+      if (pairOptions.length === runLength - 1 && group.length >= 2) {
+        pairOptions.push(generateCombinations(group, 2));
+        if ((runLength === 3 && wanted.has('three_pairs')) || (runLength === 4 && wanted.has('four_pairs'))) {
+          yield* combineOptions(pairOptions);
         }
-      });
-    }
-  } else {
-    // Must match current combination type
-    const requiredType = currentCombo.type;
-    let comboSize;
-
-    switch (requiredType) {
-      case 'single': comboSize = 1; break;
-      case 'pair': comboSize = 2; break;
-      case 'triple': comboSize = 3; break;
-      case 'quad': comboSize = 4; break;
-      case 'straight': comboSize = currentCombo.length; break;
-      // Note: double_sequence not implemented in validateCombination
-      // case 'double_sequence': comboSize = currentCombo.length * 2; break;
-      default:
-        return validMoves;
+      }
     }
+  }
+}
+
+// Moves from the hand that beat currentCombo (any move when leading)
+function* generateBeatingMoves(playerHand, currentCombo) {
+  if (!currentCombo) {
+    yield* generateMoves(playerHand);
+    return;
+  }
 
-    const combinations = generateCombinations(playerHand, comboSize);
+  // Only the current type and bombs can ever beat it
+  const types = [currentCombo.type, ...Object.keys(BOMB_POWER)];
+  const straightLength = currentCombo.type === 'straight' ? currentCombo.length : null;
 
-    combinations.forEach(combo => {
-      const validatedCombo = validateCombination(combo);
-      if (validatedCombo && validatedCombo.type === requiredType &&
-          canBeatCombination(validatedCombo, currentCombo)) {
-        validMoves.push(combo);
-      }
-    });
+  for (const cards of generateMoves(playerHand, types, straightLength)) {
+    if (canBeatCombination(validateCombination(cards), currentCombo)) {
+      yield cards;
+    }
   }
+}
 
-  return validMoves;
+// Get all valid moves for a player
+function getValidMoves(playerHand, currentCombo) {
+  return [...generateBeatingMoves(playerHand, currentCombo)];
+}
+
+// Can the hand beat currentCombo at all? Stops at the first move found.
+function hasBeatingMove(playerHand, currentCombo) {
+  return !generateBeatingMoves(playerHand, currentCombo).next().done;
 }
 
 // Generate combinations
@@ -359,9 +381,19 @@ function generateCombinations(array, k) {
 }
 
 export {
+  RANK_ORDER,
+  SUIT_ORDER,
+  INSTANT_WIN_PATTERNS,
+  detectInstantWin,
   validateCombination,
   canBeatCombination,
   getValidMoves,
+  generateMoves,
+  hasBeatingMove,
+  isBomb,
+  isChop,
+  getChopTarget,
+  compareCards,
   sortCards,
   parseCard
-};
\ No newline at end of file
+};
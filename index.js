@@ -2,28 +2,30 @@ import 'dotenv/config';
 import express from "express";
 import { createServer } from "http";
 import { Server } from "socket.io";
-import { createClient } from '@supabase/supabase-js';
 import { setupSocketHandlers } from './socketHandlers.js';
+import { createAuthMiddleware } from './auth.js';
+import { createStorage } from './storage.js';
+import { setupReplayRoutes } from './replayHandlers.js';
 
-// Initialize Supabase client
-const supabaseUrl = process.env.VITE_SUPABASE_URL;
-const supabaseKey = process.env.VITE_SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Missing Supabase configuration. Please set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY in .env file');
-  process.exit(1);
-}
-
-const supabase = createClient(supabaseUrl, supabaseKey);
+// Rooms and profiles live in Supabase when it's configured, otherwise in local storage
+const storage = createStorage(process.env);
+console.log(`Using ${storage.name} storage`);
 
 const app = express();
 const httpServer = createServer(app);
 const io = new Server(httpServer, { cors: { origin: "*" } });
 
-// Make supabase available to socket handlers
-global.supabase = supabase;
+// Verify who is connecting before any handler runs
+io.use(createAuthMiddleware({
+  jwtSecret: process.env.SUPABASE_JWT_SECRET,
+  guestSecret: process.env.GUEST_TOKEN_SECRET,
+  adminUserIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+}));
 
 // Setup all socket event handlers
-setupSocketHandlers(io, supabase);
+setupSocketHandlers(io, storage);
+
+// Finished games can be downloaded as replays
+setupReplayRoutes(app);
 
-httpServer.listen(3000);
+httpServer.listen(process.env.PORT || 3000);
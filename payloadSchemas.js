@@ -0,0 +1,170 @@
+// Declared payload schemas for client commands. Every command registered through
+// onCommand (actionResults.js) is checked here before its handler runs, so handlers
+// only ever see well-formed, sanitized arguments.
+import { parseCard } from './gameLogic.js';
+import { CHAIR_COUNT } from './roomManager.js';
+import { BOT_DIFFICULTIES } from './botStrategies.js';
+import { MIN_REPLAY_SPEED, MAX_REPLAY_SPEED } from './replays.js';
+
+const MAX_NAME_LENGTH = 24;
+const MAX_ID_LENGTH = 64;
+const MAX_CARDS_PER_PLAY = 13;
+const MAX_SETTING_CHANGES = 20;
+
+// Control characters are stripped from every string a client sends
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/g;
+
+// Each validator takes the raw value and returns { value } (sanitized) or { error }.
+// Missing optional arguments stay undefined so handler defaults still apply.
+
+function string({ max, optional = false, pattern = null }) {
+  return raw => {
+    if (raw === undefined || raw === null) {
+      return optional ? { value: undefined } : { error: 'is required' };
+    }
+    if (typeof raw !== 'string') return { error: 'must be a string' };
+
+    const value = raw.replace(CONTROL_CHARACTERS, '').trim();
+    if (value.length === 0) return optional ? { value: undefined } : { error: 'must not be empty' };
+    if (value.length > max) return { error: `must be at most ${max} characters` };
+    if (pattern && !pattern.test(value)) return { error: 'has an invalid format' };
+    return { value };
+  };
+}
+
+function integer({ min, max, optional = false }) {
+  return raw => {
+    if (raw === undefined || raw === null) {
+      return optional ? { value: undefined } : { error: 'is required' };
+    }
+    if (!Number.isInteger(raw)) return { error: 'must be an integer' };
+    if (raw < min || raw > max) return { error: `must be between ${min} and ${max}` };
+    return { value: raw };
+  };
+}
+
+function number({ min, max, optional = false }) {
+  return raw => {
+    if (raw === undefined || raw === null) {
+      return optional ? { value: undefined } : { error: 'is required' };
+    }
+    if (typeof raw !== 'number' || !Number.isFinite(raw)) return { error: 'must be a number' };
+    if (raw < min || raw > max) return { error: `must be between ${min} and ${max}` };
+    return { value: raw };
+  };
+}
+
+function oneOf(values, { optional = false } = {}) {
+  return raw => {
+    if (raw === undefined || raw === null) {
+      return optional ? { value: undefined } : { error: 'is required' };
+    }
+    if (!values.includes(raw)) return { error: `must be one of ${values.join(', ')}` };
+    return { value: raw };
+  };
+}
+
+// A play: 1-13 distinct, well-formed cards
+function cardList() {
+  return raw => {
+    if (!Array.isArray(raw)) return { error: 'must be an array of cards' };
+    if (raw.length === 0 || raw.length > MAX_CARDS_PER_PLAY) {
+      return { error: `must hold 1 to ${MAX_CARDS_PER_PLAY} cards` };
+    }
+
+    const invalid = raw.find(card => typeof card !== 'string' || !isCard(card));
+    if (invalid !== undefined) return { error: `contains an invalid card: ${String(invalid).slice(0, 8)}` };
+
+    const duplicate = raw.find((card, index) => raw.indexOf(card) !== index);
+    if (duplicate) return { error: `contains ${duplicate} more than once` };
+
+    return { value: [...raw] };
+  };
+}
+
+// A flat object of setting changes, the setting validators check each value
+function settingChanges() {
+  return raw => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'must be an object' };
+    const keys = Object.keys(raw);
+    if (keys.length === 0 || keys.length > MAX_SETTING_CHANGES) {
+      return { error: `must hold 1 to ${MAX_SETTING_CHANGES} settings` };
+    }
+    return { value: { ...raw } };
+  };
+}
+
+// An object argument with its own field validators
+function object(fields) {
+  return raw => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'must be an object' };
+
+    const value = {};
+    for (const [field, validate] of Object.entries(fields)) {
+      const result = validate(raw[field]);
+      if (result.error) return { error: `${field} ${result.error}` };
+      value[field] = result.value;
+    }
+    return { value };
+  };
+}
+
+function isCard(card) {
+  const { rankValue, suitValue } = parseCard(card);
+  return rankValue !== undefined && suitValue !== undefined;
+}
+
+const roomId = string({ max: MAX_ID_LENGTH });
+const chairIndex = integer({ min: 0, max: CHAIR_COUNT - 1 });
+
+// Positional arguments for each command, in the order clients send them
+const COMMAND_SCHEMAS = {
+  join_room: [
+    ['roomId', roomId],
+    ['name', string({ max: MAX_NAME_LENGTH, optional: true })]
+  ],
+  resume_session: [['roomId', roomId], ['sessionToken', string({ max: MAX_ID_LENGTH, pattern: /^[\w-]+$/ })]],
+  sit_chair: [['roomId', roomId], ['chairIndex', chairIndex]],
+  stand_up: [['roomId', roomId]],
+  update_room_settings: [['roomId', roomId], ['changes', settingChanges()]],
+  toggle_ready: [['roomId', roomId]],
+  start_game: [['roomId', roomId]],
+  restart_game: [['roomId', roomId]],
+  deal_cards: [['roomId', roomId]],
+  play_cards: [['payload', object({ roomId, cards: cardList() })]],
+  pass: [['roomId', roomId]],
+  get_hints: [['roomId', roomId]],
+  add_bot: [
+    ['roomId', roomId],
+    ['chairIndex', integer({ min: 0, max: CHAIR_COUNT - 1, optional: true })],
+    ['difficulty', oneOf(BOT_DIFFICULTIES, { optional: true })]
+  ],
+  set_bot_difficulty: [['roomId', roomId], ['chairIndex', chairIndex], ['difficulty', oneOf(BOT_DIFFICULTIES)]],
+  remove_bot: [['roomId', roomId], ['chairIndex', chairIndex]],
+  list_games: [['roomId', roomId]],
+  replay_game: [
+    ['roomId', roomId],
+    ['gameId', string({ max: MAX_ID_LENGTH * 2 })],
+    ['speed', number({ min: MIN_REPLAY_SPEED, max: MAX_REPLAY_SPEED, optional: true })]
+  ],
+  set_replay_speed: [['speed', number({ min: MIN_REPLAY_SPEED, max: MAX_REPLAY_SPEED })]],
+  stop_replay: []
+};
+
+// Check a command's arguments against its schema.
+// Returns { args } with the sanitized arguments, or { errors } describing what was wrong.
+function validatePayload(action, args) {
+  const schema = COMMAND_SCHEMAS[action];
+  if (!schema) return { errors: [`no schema declared for ${action}`] };
+
+  const errors = [];
+  const sanitized = schema.map(([field, validate], index) => {
+    const result = validate(args[index]);
+    if (result.error) errors.push(`${field} ${result.error}`);
+    return result.value;
+  });
+
+  return errors.length > 0 ? { errors } : { args: sanitized };
+}
+
+export { COMMAND_SCHEMAS, validatePayload };
@@ -0,0 +1,77 @@
+// Who may use which command. A socket's roles in a room:
+//   viewer - joined the room without a seat
+//   player - seated in the room
+//   host   - the member who controls the room (the first to join, handed on when they leave)
+//   admin  - a signed-in user listed in ADMIN_USER_IDS (auth.js), in any room
+import { reject } from './actionResults.js';
+
+const ROLES = ['viewer', 'player', 'host', 'admin'];
+
+// Roles each command needs (any one of them), commands not listed are open to every socket.
+// Seated players start games by readying up (toggle_ready counts down), starting or
+// restarting on demand is for whoever controls the room.
+const COMMAND_ROLES = {
+  sit_chair: ['viewer', 'player'],
+  stand_up: ['player'],
+  update_room_settings: ['host', 'admin'],
+  toggle_ready: ['player'],
+  start_game: ['host', 'admin'],
+  restart_game: ['host', 'admin'],
+  deal_cards: ['player'],
+  play_cards: ['player'],
+  pass: ['player'],
+  get_hints: ['player'],
+  add_bot: ['player', 'host', 'admin'],
+  set_bot_difficulty: ['player', 'host', 'admin'],
+  remove_bot: ['player', 'host', 'admin']
+};
+
+function isSeated(player) {
+  return player.chair !== null && player.chair !== undefined;
+}
+
+// People (not bots) in the room, seated first
+function getMembers(room) {
+  const players = (room.players || []).filter(p => !p.isBot);
+  return [...players.filter(isSeated), ...players.filter(p => !isSeated(p)), ...(room.viewers || [])];
+}
+
+function getRoles(room, socket) {
+  const roles = [];
+  const member = getMembers(room).find(m => m.id === socket.id);
+
+  if (member) {
+    roles.push(isSeated(member) ? 'player' : 'viewer');
+    if (member.userId && member.userId === room.hostUserId) roles.push('host');
+  }
+  if (socket.data?.isAdmin) roles.push('admin');
+
+  return roles;
+}
+
+// Reject a command the socket has no role for (null when it's allowed)
+function checkPermission(room, socket, command) {
+  const allowed = COMMAND_ROLES[command];
+  if (!allowed) return null;
+
+  const roles = getRoles(room, socket);
+  if (roles.some(role => allowed.includes(role))) return null;
+
+  console.log(`Socket ${socket.id} (${roles.join(', ') || 'not in room'}) may not ${command} in room ${room.id}`);
+  return reject('FORBIDDEN', { roles, allowed });
+}
+
+// Keep the host while they're still in the room, otherwise hand the room to the next member
+function assignHost(room) {
+  const members = getMembers(room);
+  if (members.some(m => m.userId && m.userId === room.hostUserId)) return room.hostUserId;
+
+  const previousHost = room.hostUserId;
+  room.hostUserId = members.find(m => m.userId)?.userId || null;
+  if (room.hostUserId !== previousHost) {
+    console.log(`Host of room ${room.id}: ${previousHost} -> ${room.hostUserId}`);
+  }
+  return room.hostUserId;
+}
+
+export { ROLES, COMMAND_ROLES, getRoles, checkPermission, assignHost };
@@ -0,0 +1,71 @@
+import { getRoom } from './roomManager.js';
+import { listFinishedGames, exportReplay, playReplay } from './replays.js';
+import { onCommand, accept, reject } from './actionResults.js';
+
+function setupReplayHandlers(io, storage) {
+  io.on("connection", (socket) => {
+    // One replay per socket, a new one replaces whatever was playing
+    let playback = null;
+
+    onCommand(socket, "list_games", async (roomId) => {
+      const room = await getRoom(roomId);
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
+
+      return accept({ games: listFinishedGames(room) });
+    });
+
+    onCommand(socket, "replay_game", async (roomId, gameId, speed = 1) => {
+      const room = await getRoom(roomId);
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
+
+      const replay = exportReplay(room, gameId);
+      if (!replay) return reject('GAME_NOT_FOUND', { gameId });
+
+      if (playback) playback.stop();
+      console.log(`Replaying ${gameId} for ${socket.id} at ${speed}x`);
+      playback = playReplay(replay, (event, payload) => socket.emit(event, payload), { speed });
+      return accept({ gameId, events: replay.events.length });
+    });
+
+    onCommand(socket, "set_replay_speed", async (speed) => {
+      const applied = playback ? playback.setSpeed(speed) : null;
+      if (applied === null) return reject('NO_REPLAY');
+
+      console.log(`Replay of ${socket.id} now at ${applied}x`);
+      return accept({ speed: applied });
+    });
+
+    onCommand(socket, "stop_replay", async () => {
+      const stopped = playback ? playback.stop() : false;
+      playback = null;
+      return accept({ stopped });
+    });
+
+    socket.on("disconnect", () => {
+      if (playback) playback.stop();
+      playback = null;
+    });
+  });
+}
+
+// HTTP access to the same exports, for downloading a game or reviewing it outside the client
+function setupReplayRoutes(app) {
+  app.get("/rooms/:roomId/games", async (req, res) => {
+    const room = await getRoom(req.params.roomId);
+    if (!room) return res.status(404).json({ code: 'ROOM_NOT_FOUND' });
+
+    res.json({ games: listFinishedGames(room) });
+  });
+
+  app.get("/rooms/:roomId/games/:gameId/replay", async (req, res) => {
+    const room = await getRoom(req.params.roomId);
+    if (!room) return res.status(404).json({ code: 'ROOM_NOT_FOUND' });
+
+    const replay = exportReplay(room, req.params.gameId);
+    if (!replay) return res.status(404).json({ code: 'GAME_NOT_FOUND' });
+
+    res.attachment(`${replay.gameId}.json`).json(replay);
+  });
+}
+
+export { setupReplayHandlers, setupReplayRoutes };
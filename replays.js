@@ -0,0 +1,159 @@
+// Replays of finished games, built from their event logs (gameLog.js). An export is a
+// self-contained JSON document: who sat where, the dealt hands, every event in order,
+// the chops and the final placements.
+import { startGameReplay, applyGameEvent, replayGameLog } from './gameLog.js';
+
+const REPLAY_FORMAT = 'thirteen-replay';
+const REPLAY_VERSION = 1;
+const MAX_REPLAY_GAP_MS = 4000; // Long pauses (thinking, disconnects) are cut down to this
+const MIN_REPLAY_SPEED = 0.25;
+const MAX_REPLAY_SPEED = 16;
+
+// Finished games of a room, newest first
+function listFinishedGames(room) {
+  return (room.gameLogs || [])
+    .filter(log => log.finishedAt)
+    .map(log => {
+      const gameOver = log.events[log.events.length - 1];
+      return {
+        gameId: log.gameId,
+        startedAt: log.startedAt,
+        finishedAt: log.finishedAt,
+        reason: gameOver.reason,
+        players: log.events[0].players,
+        placements: gameOver.placements
+      };
+    })
+    .reverse();
+}
+
+function findFinishedGameLog(room, gameId) {
+  return (room.gameLogs || []).find(log => log.gameId === gameId && log.finishedAt) || null;
+}
+
+// Export a finished game, or null if the room has no finished game with that id
+function exportReplay(room, gameId) {
+  const log = findFinishedGameLog(room, gameId);
+  if (!log) return null;
+
+  const [deal] = log.events;
+  const gameOver = log.events[log.events.length - 1];
+  const finalState = replayGameLog(log);
+
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    gameId: log.gameId,
+    roomId: log.roomId,
+    roomName: room.name || null,
+    startedAt: log.startedAt,
+    finishedAt: log.finishedAt,
+    seed: gameOver.seed || null,
+    seedCommitment: deal.seedCommitment || null,
+    players: deal.players,
+    initialHands: deal.hands,
+    openingCard: deal.openingCard,
+    firstTurn: deal.turn,
+    events: log.events,
+    chops: finalState.chops,
+    result: {
+      reason: gameOver.reason,
+      pattern: gameOver.pattern || null,
+      placements: gameOver.placements,
+      remainingHands: finalState.hands
+    }
+  };
+}
+
+// What a viewer of the replay sees at a replayed state. A copy, so a playback can keep
+// advancing the state after the frame went out.
+function toReplayFrame(state) {
+  return structuredClone({
+    hands: state.hands,
+    turn: state.turn,
+    currentCombination: state.currentCombination,
+    lastPlayer: state.lastPlayer,
+    passes: state.passes,
+    placements: state.placements,
+    round: state.round
+  });
+}
+
+// What a viewer of the replay sees after event seq
+function getReplayFrame(replay, seq) {
+  return toReplayFrame(replayGameLog({ gameId: replay.gameId, events: replay.events }, seq));
+}
+
+function clampReplaySpeed(speed) {
+  return Math.min(Math.max(speed, MIN_REPLAY_SPEED), MAX_REPLAY_SPEED);
+}
+
+// Play a replay back through send(event, payload), keeping the original pacing divided
+// by speed. The playback keeps its own replayed state and applies one event per frame.
+// Returns { stop, setSpeed } to end the playback or change its speed while it runs.
+function playReplay(replay, send, { speed = 1 } = {}) {
+  const state = startGameReplay({ gameId: replay.gameId, events: replay.events });
+  let playbackSpeed = clampReplaySpeed(speed);
+  let timer = null;
+  let index = 0;
+  let wait = null; // Original-time gap before the next event and when the wait started
+
+  send("replay_started", { gameId: replay.gameId, speed: playbackSpeed, replay });
+
+  const schedule = gap => {
+    wait = { gap, startedAt: Date.now() };
+    timer = setTimeout(next, gap / playbackSpeed);
+  };
+
+  const next = () => {
+    const event = replay.events[index];
+    if (index > 0) applyGameEvent(state, event); // The state starts out dealt
+    send("replay_event", {
+      gameId: replay.gameId,
+      event,
+      frame: toReplayFrame(state)
+    });
+
+    index++;
+    if (index >= replay.events.length) {
+      timer = null;
+      send("replay_finished", { gameId: replay.gameId });
+      return;
+    }
+
+    const gap = Math.min(replay.events[index].timestamp - event.timestamp, MAX_REPLAY_GAP_MS);
+    schedule(Math.max(gap, 0));
+  };
+  next();
+
+  const stop = () => {
+    if (!timer) return false;
+    clearTimeout(timer);
+    timer = null;
+    send("replay_finished", { gameId: replay.gameId, stopped: true });
+    return true;
+  };
+
+  // The part of the current gap already waited counts at the old speed, the rest is
+  // waited at the new one. Returns the speed applied, or null once the playback is over.
+  const setSpeed = newSpeed => {
+    if (!timer) return null;
+
+    const waited = (Date.now() - wait.startedAt) * playbackSpeed;
+    clearTimeout(timer);
+    playbackSpeed = clampReplaySpeed(newSpeed);
+    schedule(Math.max(wait.gap - waited, 0));
+    return playbackSpeed;
+  };
+
+  return { stop, setSpeed };
+}
+
+export {
+  MIN_REPLAY_SPEED,
+  MAX_REPLAY_SPEED,
+  listFinishedGames,
+  exportReplay,
+  getReplayFrame,
+  playReplay
+};
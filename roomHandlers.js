@@ -1,93 +1,83 @@
-import { rooms, getRoom, getOrCreateRoom } from './roomManager.js';
+import { rooms, getRoom, getOrCreateRoom, restoreRoomFromDB, getSeatedPlayers, replacePlayerId, updateRoomSettings, createEmptyChairs, CHAIR_COUNT } from './roomManager.js';
 import { loadRoomFromDB, saveRoomToDB, getRoomsFromDB } from './databaseHelpers.js';
-import { updatePlayerProfilePics, createCleanRoomData } from './roomHelpers.js';
+import { updatePlayerProfilePics, createCleanRoomData, emitRoomState } from './roomHelpers.js';
+import { stopAutopilot } from './autopilot.js';
+import { issueSessionToken, findMemberBySessionToken, takeMissedEvents } from './sessions.js';
+import { onCommand, accept, reject } from './actionResults.js';
+import { checkPhase, startCountdown, cancelCountdown } from './roomPhases.js';
+import { scheduleDeal } from './dealing.js';
+import { resumeTurn } from './turnManager.js';
+import { checkPermission, assignHost } from './permissions.js';
+
+// Point an existing player entry at the socket that just came back for it
+function reclaimPlayer(io, room, player, socketId) {
+  const previousId = player.id;
+  player.connected = true;
+  player.disconnectedAt = null;
+  player.id = socketId; // Update socket ID
+  replacePlayerId(room, previousId, socketId); // Keep chair, turn and passes pointing at this player
+  stopAutopilot(io, room, player); // Hand control back if a bot was playing for them
+
+  // A socket that never noticed it was replaced shouldn't keep getting room events
+  if (previousId !== socketId) {
+    io.sockets.sockets?.get(previousId)?.leave(room.id);
+  }
+}
+
+// Point a viewer entry at the socket that just came back for it
+function reclaimViewer(io, room, viewer, socketId) {
+  const previousId = viewer.id;
+  viewer.connected = true;
+  viewer.disconnectedAt = null;
+  viewer.id = socketId;
+
+  if (previousId !== socketId) {
+    io.sockets.sockets?.get(previousId)?.leave(room.id);
+  }
+}
 
-function setupRoomHandlers(io, supabase) {
+// A room restored from storage has no timers running: restart the deal or the turn
+function resumeRestoredRoom(io, room) {
+  scheduleDeal(io, room);
+  resumeTurn(io, room);
+}
+
+function setupRoomHandlers(io, storage) {
   io.on("connection", (socket) => {
     console.log("Connected:", socket.id);
 
-    // Store authenticated user ID for this socket
-    let authenticatedUserId = null;
+    // User id verified at the handshake (auth.js): a Supabase user or a server-issued guest
+    const authenticatedUserId = socket.data.userId || null;
+    socket.emit("identity", {
+      userId: authenticatedUserId,
+      guest: Boolean(socket.data.isGuest),
+      guestToken: socket.data.guestToken || null
+    });
 
     socket.on("get_rooms", async () => {
-      const roomsList = await getRoomsFromDB(supabase);
+      const roomsList = await getRoomsFromDB(storage);
       socket.emit("rooms_list", roomsList);
     });
 
-    socket.on("join_room", async (roomId, name, userId) => {
+    onCommand(socket, "join_room", async (roomId, name) => {
       try {
         // Load room from database first
-        let dbRoom = await loadRoomFromDB(roomId, supabase);
+        let dbRoom = await loadRoomFromDB(roomId, storage);
         if (!dbRoom) {
           console.log(`Room ${roomId} not found in database. Rooms should be pre-created via SQL.`);
-          socket.emit("error", "Room not found. Please contact administrator.");
-          return;
+          return reject('ROOM_NOT_FOUND', { roomId });
         }
 
         // Get or create room in memory
         let room = await getRoom(roomId);
         if (!room) {
           // Create room from database data
-          room = {
-            id: dbRoom.room_id,
-            name: dbRoom.room_name,
-            players: [],
-            viewers: dbRoom.viewers || [],
-            pile: [],
-            turn: null,
-            currentCombination: null,
-            gameStarted: dbRoom.game_started,
-            winner: null,
-            passes: [],
-            lastPlayer: null,
-            deckShuffled: false,
-            round: 1,
-            created: Date.now(),
-            lastActivity: Date.now()
-          };
-
-          // Load players from database
-          if (dbRoom.players && Array.isArray(dbRoom.players)) {
-            room.players = dbRoom.players.map(player => ({
-              id: player.id,
-              userId: player.userId,
-              name: player.name,
-              hand: player.hand || [],
-              connected: player.connected || false,
-              chair: player.chair || null,
-              ready: player.ready || false,
-              profilePic: player.profilePic || null
-            }));
-          }
-
-          // Load viewers from database
-          if (dbRoom.viewers && Array.isArray(dbRoom.viewers)) {
-            room.viewers = dbRoom.viewers;
-          } else {
-            room.viewers = [];
-          }
-
-          // Load game state from database
-          if (dbRoom.game_state) {
-            const gameState = dbRoom.game_state;
-            room.pile = gameState.pile || [];
-            room.currentCombination = gameState.currentCombination;
-            room.turn = gameState.turn;
-            room.passes = gameState.passes || [];
-            room.lastPlayer = gameState.lastPlayer;
-            room.winner = gameState.winner;
-            room.round = gameState.round || 1;
-            room.deckShuffled = gameState.deckShuffled || false;
-          }
-
+          room = restoreRoomFromDB(dbRoom);
           rooms.set(roomId, room);
         }
 
         socket.join(roomId);
 
-        // Use authenticated user UUID if available
-        authenticatedUserId = userId && userId !== socket.id ? userId : null;
-
         // Check if player is already in a seat (reconnecting)
         let seatIndex = -1;
         let isReconnecting = false;
@@ -108,10 +98,11 @@ function setupRoomHandlers(io, supabase) {
           }
         }
 
+        let missedEvents = [];
         if (isReconnecting) {
           // Reconnecting to existing player
-          room.players[seatIndex].connected = true;
-          room.players[seatIndex].id = socket.id; // Update socket ID
+          reclaimPlayer(io, room, room.players[seatIndex], socket.id);
+          missedEvents = takeMissedEvents(room.players[seatIndex]);
         } else {
           // Add new player as viewer first (they can choose to sit down later)
           room.players.push({
@@ -125,43 +116,87 @@ function setupRoomHandlers(io, supabase) {
           });
         }
 
+        // The first member to join (or the next one after the host left) controls the room
+        assignHost(room);
+        resumeRestoredRoom(io, room);
+
+        // Token the client presents to resume_session after a dropped connection
+        const player = room.players.find(p => p.id === socket.id);
+        const sessionToken = issueSessionToken(player);
+
         // Save updated room to database
-        await saveRoomToDB(room, supabase);
+        await saveRoomToDB(room, storage);
 
         // Update profile pictures for players (including the new player)
-        await updatePlayerProfilePics(room, supabase);
+        await updatePlayerProfilePics(room, storage);
 
-        // Create clean room data for socket emission (avoid circular references)
-        const cleanRoomData = createCleanRoomData(room);
-
-        // Broadcast room update
-        io.to(roomId).emit("room_update", cleanRoomData);
-        socket.emit("room_joined", cleanRoomData);
+        // Broadcast room update, each socket gets its own view of the room
+        emitRoomState(io, room, "room_update");
+        socket.emit("room_joined", { ...createCleanRoomData(room, socket.id), sessionToken, missedEvents });
 
         // Broadcast updated room list
-        const roomsList = await getRoomsFromDB(supabase);
+        const roomsList = await getRoomsFromDB(storage);
         io.emit("rooms_list", roomsList);
 
+        return accept({ reconnected: isReconnecting });
       } catch (error) {
         console.error('Error in join_room handler:', error);
-        socket.emit("error", "Failed to join room");
+        return reject('JOIN_FAILED', { roomId });
       }
     });
 
-    socket.on("sit_chair", async (roomId, chairIndex) => {
+    // Take a seat back after a dropped connection: same chair, hand, ready state and
+    // turn, plus the room events that went out while the client was offline.
+    // Viewers get their place among the viewers back.
+    onCommand(socket, "resume_session", async (roomId, sessionToken) => {
       const room = await getRoom(roomId);
-      if (!room) return; // Room might have been cleaned up
-      if (chairIndex < 0 || chairIndex >= 4) return;
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
+
+      const member = findMemberBySessionToken(room, sessionToken);
+      if (!member) {
+        console.log(`Socket ${socket.id} presented an unknown session for room ${roomId}`);
+        return reject('INVALID_SESSION', { roomId });
+      }
+
+      console.log(`Resuming session of ${member.name} (${member.id} -> ${socket.id}) in room ${roomId}`);
+      socket.join(roomId);
+      if (room.viewers.includes(member)) {
+        reclaimViewer(io, room, member, socket.id);
+      } else {
+        reclaimPlayer(io, room, member, socket.id);
+        resumeRestoredRoom(io, room);
+      }
+      const missedEvents = takeMissedEvents(member);
+      const nextSessionToken = issueSessionToken(member); // Tokens are single use
+
+      await saveRoomToDB(room, storage);
+
+      emitRoomState(io, room, "room_update");
+      socket.emit("session_resumed", {
+        ...createCleanRoomData(room, socket.id),
+        sessionToken: nextSessionToken,
+        missedEvents
+      });
+
+      return accept({ sessionToken: nextSessionToken, missedEvents: missedEvents.length });
+    });
+
+    onCommand(socket, "sit_chair", async (roomId, chairIndex) => {
+      const room = await getRoom(roomId);
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
+      if (!(chairIndex >= 0 && chairIndex < CHAIR_COUNT)) return reject('INVALID_CHAIR', { chairIndex });
+
+      const forbidden = checkPermission(room, socket, 'sit_chair');
+      if (forbidden) return forbidden;
 
       // Ensure room properties are initialized
       if (!room.players) room.players = [];
       if (!room.viewers) room.viewers = [];
-      if (!room.chairs) room.chairs = [null, null, null, null];
+      if (!room.chairs) room.chairs = createEmptyChairs();
 
       // Check if chair is empty
       if (room.chairs[chairIndex] !== null) {
-        socket.emit("error", "Chair is occupied");
-        return;
+        return reject('CHAIR_OCCUPIED', { chairIndex });
       }
 
       // Find player in viewers
@@ -176,6 +211,7 @@ function setupRoomHandlers(io, supabase) {
           id: socket.id,
           userId: viewer.userId, // Use the authenticated user UUID if available
           name: viewer.name,
+          sessionTokenHash: viewer.sessionTokenHash, // Their session carries over to the seat
           hand: [],
           connected: true,
           chair: chairIndex,
@@ -185,164 +221,141 @@ function setupRoomHandlers(io, supabase) {
 
         room.chairs[chairIndex] = socket.id;
       } else {
-        // Player is not in viewers, check if they're already a player
-        const existingPlayerIndex = room.players.findIndex(p => p.id === socket.id);
-        if (existingPlayerIndex !== -1) {
-          // Player is already in players, just update their chair
-          room.players[existingPlayerIndex].chair = chairIndex;
-          room.chairs[chairIndex] = socket.id;
-        } else {
-          // New player, add them to players
-          room.players.push({
-            id: socket.id,
-            userId: authenticatedUserId,
-            name: name,
-            hand: [],
-            connected: true,
-            chair: chairIndex,
-            ready: false,
-            profilePic: null
-          });
-          room.chairs[chairIndex] = socket.id;
+        // Player is not in viewers, so they're already a player
+        const existingPlayer = room.players.find(p => p.id === socket.id);
+
+        // Changing seats mid-game would reorder the turns
+        if (room.gameStarted && existingPlayer.hand?.length > 0) {
+          return reject('GAME_IN_PROGRESS', { chair: existingPlayer.chair });
         }
+
+        // Move them to the new chair
+        if (existingPlayer.chair !== null && existingPlayer.chair !== undefined) {
+          room.chairs[existingPlayer.chair] = null;
+        }
+        existingPlayer.chair = chairIndex;
+        room.chairs[chairIndex] = socket.id;
       }
 
       // Reset countdown when someone joins a seat
-      if (room.countdownInterval) {
-        clearInterval(room.countdownInterval);
-        room.countdownInterval = null;
-      }
-      room.countdownTime = null;
+      cancelCountdown(io, room);
 
       // Save to database
-      await saveRoomToDB(room, supabase);
+      await saveRoomToDB(room, storage);
 
       // Update profile pictures for players
-      await updatePlayerProfilePics(room, supabase);
+      await updatePlayerProfilePics(room, storage);
 
-      // Create clean room data for socket emission
-      const cleanRoomData = createCleanRoomData(room);
-
-      io.to(roomId).emit("room_update", cleanRoomData);
+      emitRoomState(io, room, "room_update");
+      return accept({ chairIndex });
     });
 
-    socket.on("stand_up", async (roomId) => {
+    onCommand(socket, "stand_up", async (roomId) => {
       console.log(`Player ${socket.id} standing up from room ${roomId}`);
       const room = await getRoom(roomId);
       if (!room) {
         console.log(`Room ${roomId} not found for stand_up`);
-        return; // Room might have been cleaned up
+        return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
       }
 
       // Ensure room properties are initialized
       if (!room.players) room.players = [];
       if (!room.viewers) room.viewers = [];
-      if (!room.chairs) room.chairs = [null, null, null, null];
+      if (!room.chairs) room.chairs = createEmptyChairs();
+
+      const forbidden = checkPermission(room, socket, 'stand_up');
+      if (forbidden) return forbidden;
 
       // Find player
       const playerIndex = room.players.findIndex(p => p.id === socket.id);
-      if (playerIndex === -1) {
-        console.log(`Player ${socket.id} not found in room ${roomId} players`);
-        return;
-      }
-
       const player = room.players[playerIndex];
       const chairIndex = player.chair;
+
+      // A player still holding cards can't leave their seat mid-game
+      if (room.gameStarted && player.hand?.length > 0) {
+        return reject('GAME_IN_PROGRESS', { chair: chairIndex });
+      }
+
       console.log(`Player ${player.name} leaving chair ${chairIndex}`);
 
       // Remove from players
       room.players.splice(playerIndex, 1);
-      room.chairs[chairIndex] = null;
+      if (chairIndex !== null && chairIndex !== undefined) {
+        room.chairs[chairIndex] = null;
+      }
 
       // Reset countdown when someone leaves a seat
-      if (room.countdownInterval) {
-        clearInterval(room.countdownInterval);
-        room.countdownInterval = null;
-      }
-      room.countdownTime = null;
+      cancelCountdown(io, room);
 
       // Add back to viewers
       room.viewers.push({
         id: socket.id,
         userId: player.userId, // Use the authenticated user UUID if available
         name: player.name,
+        sessionTokenHash: player.sessionTokenHash,
         connected: true
       });
 
-      // Create clean room data for socket emission
-      const cleanRoomData = createCleanRoomData(room);
       console.log(`Emitting room_update for room ${roomId} after stand_up`);
+      emitRoomState(io, room, "room_update");
+      return accept();
+    });
+
+    onCommand(socket, "update_room_settings", async (roomId, changes) => {
+      const room = await getRoom(roomId);
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
 
-      io.to(roomId).emit("room_update", cleanRoomData);
+      const forbidden = checkPermission(room, socket, 'update_room_settings');
+      if (forbidden) return forbidden;
+
+      const wrongPhase = checkPhase(room, 'update_room_settings');
+      if (wrongPhase) return wrongPhase;
+
+      const applied = updateRoomSettings(room, changes);
+      if (applied.length === 0) {
+        return reject('INVALID_SETTINGS', { changes });
+      }
+
+      console.log(`Player ${socket.id} updated settings in room ${roomId}:`, applied);
+      await saveRoomToDB(room, storage);
+      emitRoomState(io, room, "room_update");
+      return accept({ applied });
     });
 
-    socket.on("toggle_ready", async (roomId) => {
+    onCommand(socket, "toggle_ready", async (roomId) => {
       const room = await getRoom(roomId);
-      if (!room) return; // Room might have been cleaned up
+      if (!room) return reject('ROOM_NOT_FOUND', { roomId }); // Room might have been cleaned up
 
       // Ensure room properties are initialized
       if (!room.players) room.players = [];
 
+      // Only seated players can ready up
+      const forbidden = checkPermission(room, socket, 'toggle_ready');
+      if (forbidden) return forbidden;
       const player = room.players.find(p => p.id === socket.id);
-      if (!player) return;
+
+      const wrongPhase = checkPhase(room, 'toggle_ready');
+      if (wrongPhase) return wrongPhase;
 
       // Toggle ready status
       player.ready = !player.ready;
 
       // If player toggled OFF ready, clear countdown immediately
       if (!player.ready) {
-        if (room.countdownInterval) {
-          clearInterval(room.countdownInterval);
-          room.countdownInterval = null;
-        }
-        room.countdownTime = null;
-        // Emit countdown cleared
-        io.to(roomId).emit("countdown_update", null);
+        cancelCountdown(io, room);
       }
 
-      // Check if all connected players are ready
-      const connectedPlayers = room.players.filter(p => p.connected);
+      // Check if all connected seated players are ready
+      const connectedPlayers = getSeatedPlayers(room).filter(p => p.connected);
       const allReady = connectedPlayers.length >= 2 && connectedPlayers.every(p => p.ready);
 
-      if (allReady && !room.gameStarted) {
-        // Start 6-second countdown to game start
-        room.countdownTime = 6;
-        io.to(roomId).emit("countdown_update", room.countdownTime);
-
-        room.countdownInterval = setInterval(() => {
-          room.countdownTime--;
-
-          if (room.countdownTime <= 0) {
-            // Time's up - start the game automatically
-            clearInterval(room.countdownInterval);
-            room.countdownInterval = null;
-            room.countdownTime = null;
-
-            // Initialize game state
-            room.gameStarted = true;
-            room.pile = [];
-            room.currentCombination = null;
-            room.winner = null;
-            room.passes = [];
-            room.lastPlayer = null;
-            room.turn = null;
-            room.round = 1;
-            room.deckShuffled = true;
-
-            // Reset all players' hands and ready status
-            room.players.forEach(player => {
-              player.hand = [];
-              player.ready = false;
-            });
-
-            io.to(roomId).emit("game_started", createCleanRoomData(room));
-          } else {
-            io.to(roomId).emit("countdown_update", room.countdownTime);
-          }
-        }, 1000);
+      if (allReady) {
+        // Start the countdown to game start
+        startCountdown(io, room);
       }
 
-      io.to(roomId).emit("room_update", createCleanRoomData(room));
+      emitRoomState(io, room, "room_update");
+      return accept({ ready: player.ready });
     });
   });
 }
@@ -1,21 +1,24 @@
 import { rooms } from './roomManager.js';
 import { saveRoomToDB } from './databaseHelpers.js';
+import { isGuestId } from './auth.js';
+import { recordMissedEvent } from './sessions.js';
+import { getCurrentGameLog } from './gameLog.js';
 
 // Cache for profile pictures to avoid repeated database calls
 const profilePicCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
 // Helper function to fetch and update profile pictures for players and viewers (optimized)
-async function updatePlayerProfilePics(room, supabaseClient) {
+async function updatePlayerProfilePics(room, storage) {
   if ((!room.players || room.players.length === 0) && (!room.viewers || room.viewers.length === 0)) return;
 
   // Get all user IDs that need profile pictures and aren't cached or cache is expired
   const userIdsToFetch = [];
   const now = Date.now();
 
-  // Check players (no bots in this game)
+  // Check players (bots have no user id, guests have no profile)
   room.players?.forEach(player => {
-    if (player.userId) {
+    if (player.userId && !isGuestId(player.userId)) {
       const cached = profilePicCache.get(player.userId);
       if (!cached || (now - cached.timestamp) > CACHE_DURATION) {
         userIdsToFetch.push(player.userId);
@@ -28,7 +31,7 @@ async function updatePlayerProfilePics(room, supabaseClient) {
 
   // Check viewers
   room.viewers?.forEach(viewer => {
-    if (viewer.userId) {
+    if (viewer.userId && !isGuestId(viewer.userId)) {
       const cached = profilePicCache.get(viewer.userId);
       if (!cached || (now - cached.timestamp) > CACHE_DURATION) {
         userIdsToFetch.push(viewer.userId);
@@ -42,15 +45,7 @@ async function updatePlayerProfilePics(room, supabaseClient) {
   if (userIdsToFetch.length === 0) return;
 
   try {
-    const { data, error } = await supabaseClient
-      .from('users')
-      .select('id, profile_pic')
-      .in('id', userIdsToFetch);
-
-    if (error) {
-      console.error('Error fetching profile pictures:', error);
-      return;
-    }
+    const data = await storage.getUserProfiles(userIdsToFetch);
 
     // Update cache and player objects with profile pictures
     data.forEach(userData => {
@@ -80,22 +75,12 @@ async function updatePlayerProfilePics(room, supabaseClient) {
   }
 }
 
-async function initializeRooms(supabase) {
+async function initializeRooms(storage) {
   try {
     console.log('Initializing Thirteen rooms...');
 
     // Check if rooms already exist
-    const { data: existingRooms, error: checkError } = await supabase
-      .from('thirteen_rooms')
-      .select('room_id')
-      .limit(1);
-
-    if (checkError && checkError.code !== 'PGRST116') {
-      console.error('Error checking for existing rooms:', checkError);
-      return;
-    }
-
-    if (existingRooms && existingRooms.length > 0) {
+    if (await storage.hasRooms()) {
       console.log('Rooms already exist, skipping initialization');
       return;
     }
@@ -117,35 +102,58 @@ async function initializeRooms(supabase) {
       });
     }
 
-    const { data, error } = await supabase
-      .from('thirteen_rooms')
-      .insert(roomsToCreate);
-
-    if (error) {
-      console.error('Error creating rooms:', error);
-    } else {
-      console.log(`Successfully created ${roomsToCreate.length} rooms`);
-    }
+    await storage.insertRooms(roomsToCreate);
+    console.log(`Successfully created ${roomsToCreate.length} rooms`);
   } catch (err) {
     console.error('Error in initializeRooms:', err);
   }
 }
 
+// Whether the recipient may see every hand: only a spectator, in a room whose
+// spectatorView is 'full'. Anyone dealt into the latest game (holding cards, out of them
+// or stood up since), from any socket of their account, only ever sees their own hand.
+function canSeeAllHands(room, recipientId) {
+  if (room.settings?.spectatorView !== 'full') return false;
+
+  const recipient = room.players.find(p => p.id === recipientId) || room.viewers.find(v => v.id === recipientId);
+  if (!recipient) return false;
+  if (recipient.chair !== null && recipient.chair !== undefined) return false;
+
+  const dealtIn = [
+    ...(getCurrentGameLog(room)?.events[0]?.players || []),
+    ...room.players.filter(p => p.hand?.length > 0).map(p => ({ playerId: p.id, userId: p.userId })),
+    ...(room.placements || []).map(playerId => ({ playerId, userId: null }))
+  ];
+  return !dealtIn.some(p => p.playerId === recipientId || (recipient.userId && p.userId === recipient.userId));
+}
+
 // Helper function to create clean room data for socket emission
-function createCleanRoomData(room) {
+// The data is projected for one recipient: their own hand is included, every other
+// player only exposes a card count. Spectators see counts too unless the room's
+// spectatorView setting is 'full' (see canSeeAllHands).
+function createCleanRoomData(room, recipientId = null) {
+  const showAllHands = canSeeAllHands(room, recipientId);
+
   return {
     id: room.id,
     name: room.name,
-    players: room.players.map(p => ({
-      id: p.id,
-      userId: p.userId,
-      name: p.name,
-      hand: p.hand,
-      connected: p.connected,
-      ready: p.ready,
-      isBot: p.isBot,
-      profilePic: p.profilePic
-    })),
+    players: room.players.map(p => {
+      const canSeeHand = p.id === recipientId || showAllHands;
+      return {
+        id: p.id,
+        userId: p.userId,
+        name: p.name,
+        ...(canSeeHand ? { hand: p.hand } : {}),
+        handCount: p.hand?.length || 0,
+        connected: p.connected,
+        ready: p.ready,
+        timeBank: p.timeBank,
+        isBot: p.isBot,
+        difficulty: p.difficulty,
+        autopilot: Boolean(p.autopilot),
+        profilePic: p.profilePic
+      };
+    }),
     viewers: room.viewers.map(v => ({
       id: v.id,
       userId: v.userId,
@@ -153,16 +161,45 @@ function createCleanRoomData(room) {
     })),
     pile: room.pile,
     turn: room.turn,
+    turnDeadline: room.turnDeadline,
+    dealDeadline: room.dealDeadline || null,
     currentCombination: room.currentCombination,
+    phase: room.phase,
+    hostUserId: room.hostUserId || null,
+    countdownTime: room.countdownTime ?? null,
     gameStarted: room.gameStarted,
     winner: room.winner,
     winnerLastCards: room.winnerLastCards,
+    placements: room.placements,
+    openingCard: room.openingCard,
+    chops: room.chops,
+    sessionScores: room.sessionScores,
     passes: room.passes,
     lastPlayer: room.lastPlayer,
     lastTurn: room.lastTurn,
     deckShuffled: room.deckShuffled,
-    round: room.round
+    seedCommitment: room.seedCommitment || null, // The seed itself stays secret until game over
+    revealedShuffle: room.revealedShuffle || null,
+    round: room.round,
+    settings: room.settings
   };
 }
 
-export { updatePlayerProfilePics, initializeRooms, createCleanRoomData };
\ No newline at end of file
+// Emit room state to every socket in the room, each with its own projection
+function emitRoomState(io, room, event) {
+  const socketIds = io.sockets.adapter.rooms.get(room.id);
+  if (!socketIds) return;
+
+  socketIds.forEach(socketId => {
+    io.to(socketId).emit(event, createCleanRoomData(room, socketId));
+  });
+}
+
+// Broadcast a discrete room event (chop, game over, ...). Players who are offline get
+// it queued so they can catch up when they resume their session.
+function emitRoomEvent(io, room, event, payload) {
+  io.to(room.id).emit(event, payload);
+  recordMissedEvent(room, event, payload);
+}
+
+export { updatePlayerProfilePics, initializeRooms, createCleanRoomData, emitRoomState, emitRoomEvent };
\ No newline at end of file
@@ -1,21 +1,90 @@
 // Room management utilities with database integration
+import { INSTANT_WIN_PATTERNS } from './gameLogic.js';
+import { appendGameEvent } from './gameLog.js';
+
 const rooms = new Map(); // Store multiple rooms in memory
 
+// Per-room settings, copied onto every room when it is created or restored
+const DEFAULT_ROOM_SETTINGS = {
+  spectatorView: 'counts', // 'counts' = viewers only see card counts, 'full' = viewers see every hand
+  turnDuration: 30, // Seconds per turn before the server auto-passes (0 disables the timer)
+  timeBank: 60, // Extra seconds per player per game, used once the turn time runs out
+  instantWins: [...INSTANT_WIN_PATTERNS], // Instant-win hands that end the game at the deal
+  outOfTurnChop: false, // House rule: four consecutive pairs may chop out of turn
+  autopilot: false, // Let a bot play a disconnected player's hand
+  autopilotGrace: 10, // Seconds a disconnected player has to come back before autopilot starts
+  dealDelay: 3, // Seconds between game_started and the deal, while clients show the shuffle
+  dealAckTimeout: 0 // When set, deal once every seated player acks with deal_cards, or after this many seconds (0 = deal after dealDelay)
+};
+
+const MIN_TURN_DURATION = 5; // Seconds, 0 still turns the timer off
+
+// Validators for settings players may change between games
+const SETTING_VALIDATORS = {
+  spectatorView: value => value === 'counts' || value === 'full',
+  // Bots and autopilot think for up to 3.5s (botLogic.js), shorter turns would time them out
+  turnDuration: value => Number.isInteger(value) && (value === 0 || (value >= MIN_TURN_DURATION && value <= 300)),
+  timeBank: value => Number.isInteger(value) && value >= 0 && value <= 600,
+  instantWins: value => Array.isArray(value) && value.every(pattern => INSTANT_WIN_PATTERNS.includes(pattern)),
+  outOfTurnChop: value => typeof value === 'boolean',
+  autopilot: value => typeof value === 'boolean',
+  autopilotGrace: value => Number.isInteger(value) && value >= 0 && value <= 300,
+  dealDelay: value => Number.isInteger(value) && value >= 0 && value <= 30,
+  dealAckTimeout: value => Number.isInteger(value) && value >= 0 && value <= 60
+};
+
+// Apply known, valid settings to a room. Returns the keys that were changed.
+function updateRoomSettings(room, changes) {
+  const applied = [];
+  if (!changes || typeof changes !== 'object') return applied;
+
+  for (const [key, value] of Object.entries(changes)) {
+    const isValid = SETTING_VALIDATORS[key];
+    if (isValid && isValid(value)) {
+      room.settings[key] = value;
+      applied.push(key);
+    }
+  }
+
+  return applied;
+}
+
+const CHAIR_COUNT = 4;
+const DISCONNECTED_MEMBER_TTL_MS = 30000; // Offline this long and a member is dropped from the room
+
+function createEmptyChairs() {
+  return Array(CHAIR_COUNT).fill(null);
+}
+
 function createRoom(roomId, roomName) {
   const room = {
     id: roomId,
     name: roomName,
     players: [], // {id, name, hand: [], connected: boolean, chair: number | null, ready: boolean}
     viewers: [], // {id, name}
-    chairs: [null, null, null, null], // 4 chairs, null means empty
+    chairs: createEmptyChairs(), // 4 chairs holding player ids, null means empty
+    hostUserId: null, // User id of the member who controls the room (permissions.js)
     pile: [],
     turn: null,
     currentCombination: null,
+    phase: 'waiting', // Lifecycle phase (roomPhases.js)
     gameStarted: false,
     winner: null,
+    placements: [], // Player ids in finishing order
+    previousWinner: null, // Winner of the last game, leads the next one
+    openingCard: null, // Card the opening play must include (lowest dealt card)
+    chops: [], // Chop events of the current game
+    playedCards: [], // Every card played this game
+    scoreSheets: [], // Score sheets of the games played this session
+    gameLogs: [], // Event logs of the latest games (gameLog.js)
+    sessionScores: {}, // Running totals keyed by user id
     passes: [], // Players who passed this round
     lastPlayer: null, // Player who played the last card
     round: 1, // Current round number
+    shuffleSeed: null, // Secret seed of the next/current deal
+    seedCommitment: null, // sha256 of shuffleSeed, published before the deal
+    revealedShuffle: null, // Seed of the last finished game, revealed at game over
+    settings: { ...DEFAULT_ROOM_SETTINGS },
     created: Date.now(),
     lastActivity: Date.now()
   };
@@ -23,6 +92,89 @@ function createRoom(roomId, roomName) {
   return room;
 }
 
+// Phase (roomPhases.js) of a saved room. A countdown doesn't survive a restart, and rooms
+// saved before phases existed only have the gameStarted/deckShuffled flags.
+function getRestoredPhase(savedPhase, gameStarted, deckShuffled) {
+  if (savedPhase && savedPhase !== 'countdown') return savedPhase;
+  if (!gameStarted) return 'waiting';
+  return deckShuffled ? 'dealing' : 'playing';
+}
+
+// Rebuild an in-memory room from its database record. Players come back disconnected
+// and reclaim their seat (and hand) when they rejoin with the same user id or resume
+// their session.
+function restoreRoomFromDB(dbRoom) {
+  const gameState = dbRoom.game_state || {};
+  const settings = { ...DEFAULT_ROOM_SETTINGS, ...gameState.settings };
+
+  const players = (dbRoom.players || []).map(player => ({
+    id: player.id,
+    userId: player.userId,
+    name: player.name,
+    hand: player.hand || [],
+    // Bots have no socket to reconnect with, they are back as soon as the room is
+    connected: Boolean(player.isBot),
+    disconnectedAt: player.isBot ? null : Date.now(),
+    chair: player.chair ?? null,
+    ready: player.ready || false,
+    cardsPlayed: player.cardsPlayed || 0, // Scoring treats a player who never played as frozen
+    timeBank: player.timeBank ?? settings.timeBank, // Records saved without it get a full bank
+    isBot: player.isBot || false,
+    difficulty: player.difficulty,
+    sessionTokenHash: player.sessionTokenHash || null, // Lets them resume their session
+    missedEvents: [],
+    profilePic: player.profilePic || null
+  }));
+
+  const viewers = (dbRoom.viewers || []).map(viewer => ({
+    ...viewer,
+    connected: false,
+    disconnectedAt: Date.now()
+  }));
+
+  // Restore the saved chairs, dropping any seat whose occupant wasn't restored
+  const chairs = createEmptyChairs().map((empty, index) => {
+    const occupantId = gameState.chairs?.[index] ?? players.find(p => p.chair === index)?.id;
+    return players.some(p => p.id === occupantId) ? occupantId : empty;
+  });
+
+  // Keep the flags in step with the phase, rooms saved before phases only have the flags
+  const phase = getRestoredPhase(gameState.phase, dbRoom.game_started, gameState.deckShuffled);
+
+  return {
+    id: dbRoom.room_id,
+    name: dbRoom.room_name || 'Unnamed Room',
+    players,
+    viewers,
+    chairs,
+    hostUserId: gameState.hostUserId || null,
+    pile: gameState.pile || [],
+    turn: gameState.turn || null,
+    currentCombination: gameState.currentCombination || null,
+    phase,
+    gameStarted: phase === 'dealing' || phase === 'playing',
+    winner: gameState.winner || dbRoom.winner_id || null,
+    placements: gameState.placements || [],
+    previousWinner: gameState.previousWinner || null,
+    openingCard: gameState.openingCard || null,
+    chops: gameState.chops || [],
+    playedCards: gameState.playedCards || [],
+    scoreSheets: gameState.scoreSheets || [],
+    gameLogs: gameState.gameLogs || [],
+    sessionScores: gameState.sessionScores || {},
+    passes: gameState.passes || [],
+    lastPlayer: gameState.lastPlayer || null,
+    round: gameState.round || 1,
+    deckShuffled: phase === 'dealing',
+    shuffleSeed: null, // Never stored, a deal that's restored commits to a fresh seed
+    seedCommitment: gameState.seedCommitment || null,
+    revealedShuffle: gameState.revealedShuffle || null,
+    settings,
+    created: dbRoom.created_at ? new Date(dbRoom.created_at).getTime() : Date.now(),
+    lastActivity: Date.now()
+  };
+}
+
 async function getRoom(roomId) {
   // First check in-memory cache
   let room = rooms.get(roomId);
@@ -34,30 +186,7 @@ async function getRoom(roomId) {
   try {
     const dbRoom = await loadRoomFromDB(roomId);
     if (dbRoom) {
-      // Reconstruct room object from database data
-      room = {
-        id: dbRoom.room_id,
-        name: dbRoom.room_name || 'Unnamed Room',
-        players: [], // Will be populated as players reconnect with their user UUIDs
-        viewers: [], // Will be populated as viewers reconnect with their user UUIDs
-        chairs: [null, null, null, null], // Initialize chairs as empty
-        pile: dbRoom.game_state?.pile || [],
-        turn: dbRoom.game_state?.turn || null,
-        currentCombination: dbRoom.game_state?.currentCombination || null,
-        gameStarted: dbRoom.game_started || false,
-        winner: dbRoom.winner_id || null,
-        passes: dbRoom.game_state?.passes || [],
-        lastPlayer: dbRoom.game_state?.lastPlayer || null,
-        round: dbRoom.game_state?.round || 1,
-        created: new Date(dbRoom.created_at).getTime(),
-        lastActivity: Date.now()
-      };
-
-      // Note: We don't reconstruct players/viewers from DB here because:
-      // 1. The database stores user UUIDs, but we need socket connections
-      // 2. Players will reconnect and restore their state via socket events
-      // 3. This ensures we always have the correct socket-to-user mapping
-
+      room = restoreRoomFromDB(dbRoom);
       rooms.set(roomId, room);
       return room;
     }
@@ -85,18 +214,100 @@ function setDatabaseLoader(loaderFunction) {
   loadRoomFromDB = loaderFunction;
 }
 
-// Randomly select starting player (spinning arrow equivalent)
-function getStartingPlayerForRoom(room) {
-  if (room.players.length === 0) return null;
-  const randomIndex = Math.floor(Math.random() * room.players.length);
-  return room.players[randomIndex].id;
+// Helper function to save a room from code that has no storage handle, like the turn
+// pipeline and its timers (will be injected by socket handlers)
+let saveRoomToDB = null;
+function setDatabaseSaver(saverFunction) {
+  saveRoomToDB = saverFunction;
+}
+
+// Persist the room in the background. saveRoomToDB logs its own failures and writes the
+// saves of a room one after another, so the latest state always lands last.
+function persistRoom(room) {
+  if (saveRoomToDB) saveRoomToDB(room);
+}
+
+// Players sitting in a chair, in clockwise (chair index) order
+function getSeatedPlayers(room) {
+  return room.players
+    .filter(p => p.chair !== null && p.chair !== undefined)
+    .sort((a, b) => a.chair - b.chair);
+}
+
+// Players dealt into the game that's on. They keep their seat and hand while offline
+// (their session can be resumed, autopilot or the turn timer plays for them) until it ends.
+function isInCurrentGame(room, player) {
+  return room.gameStarted && player.chair !== null && player.chair !== undefined && player.hand?.length > 0;
+}
+
+// Drop members who have been disconnected for too long, freeing their chairs.
+// Returns the ids that were removed.
+function removeDisconnectedMembers(room, now = Date.now()) {
+  const removed = [];
+  const isGone = member => !member.connected && member.disconnectedAt && (now - member.disconnectedAt) > DISCONNECTED_MEMBER_TTL_MS;
+
+  room.players = room.players.filter(player => {
+    if (isInCurrentGame(room, player) || !isGone(player)) return true;
+
+    console.log(`Removing disconnected player ${player.id} from room ${room.id}`);
+    clearTimeout(player.autopilotTimer);
+    if (player.chair !== null && player.chair !== undefined && room.chairs) {
+      room.chairs[player.chair] = null;
+    }
+    removed.push(player.id);
+    return false;
+  });
+
+  room.viewers = room.viewers.filter(viewer => {
+    if (!isGone(viewer)) return true;
+
+    console.log(`Removing disconnected viewer ${viewer.id} from room ${room.id}`);
+    removed.push(viewer.id);
+    return false;
+  });
+
+  return removed;
+}
+
+// Point the player's chair and every game-state reference at their new socket id
+function replacePlayerId(room, oldId, newId) {
+  if (oldId === newId) return;
+
+  const swap = id => (id === oldId ? newId : id);
+  room.chairs = (room.chairs || createEmptyChairs()).map(swap);
+  room.turn = swap(room.turn);
+  room.lastPlayer = swap(room.lastPlayer);
+  room.winner = swap(room.winner);
+  room.previousWinner = swap(room.previousWinner);
+  room.passes = (room.passes || []).map(swap);
+  room.placements = (room.placements || []).map(swap);
+  if (room.turnTimerState) room.turnTimerState.playerId = swap(room.turnTimerState.playerId);
+  (room.chops || []).forEach(chop => {
+    chop.chopperId = swap(chop.chopperId);
+    chop.victimId = swap(chop.victimId);
+  });
+
+  // The log keeps the ids it was written with, replays follow the change from here on
+  if (room.gameStarted) {
+    appendGameEvent(room, 'player_replaced', { previousId: oldId, playerId: newId });
+  }
 }
 
 export {
   rooms,
+  DEFAULT_ROOM_SETTINGS,
+  CHAIR_COUNT,
+  createEmptyChairs,
   createRoom,
+  restoreRoomFromDB,
   getRoom,
   getOrCreateRoom,
-  getStartingPlayerForRoom,
-  setDatabaseLoader
+  getSeatedPlayers,
+  isInCurrentGame,
+  removeDisconnectedMembers,
+  replacePlayerId,
+  updateRoomSettings,
+  setDatabaseLoader,
+  setDatabaseSaver,
+  persistRoom
 };
\ No newline at end of file
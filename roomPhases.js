@@ -0,0 +1,179 @@
+// Room lifecycle as a state machine:
+//   waiting -> countdown -> dealing -> playing -> finished -> waiting
+// setPhase is the only way the phase changes, and it keeps the flags clients already
+// read (gameStarted, deckShuffled) in step with it. resetGame is the one routine that
+// clears a game.
+import { clearTurnTimer } from './turnManager.js';
+import { prepareShuffle } from './cardUtils.js';
+import { emitRoomState } from './roomHelpers.js';
+import { reject } from './actionResults.js';
+import { createEmptyChairs } from './roomManager.js';
+import { scheduleDeal, clearDealTimer } from './dealing.js';
+import { cancelBotMove } from './botLogic.js';
+
+const PHASES = ['waiting', 'countdown', 'dealing', 'playing', 'finished'];
+
+const PHASE_TRANSITIONS = {
+  waiting: ['countdown', 'dealing'], // start_game and restart_game skip the countdown
+  countdown: ['waiting', 'dealing'],
+  dealing: ['playing', 'finished', 'waiting'], // Instant wins end at the deal
+  playing: ['finished', 'waiting'], // Back to waiting when a game is abandoned
+  finished: ['waiting']
+};
+
+const BETWEEN_GAMES = ['waiting', 'countdown', 'finished'];
+
+// Phases each command may be used in, commands not listed work in every phase
+const COMMAND_PHASES = {
+  toggle_ready: BETWEEN_GAMES,
+  start_game: ['waiting', 'finished'],
+  restart_game: ['waiting', 'finished'],
+  deal_cards: ['dealing', 'playing'], // Every client asks after its animation, late askers are told it's done
+  play_cards: ['playing'],
+  pass: ['playing'],
+  get_hints: ['playing'],
+  update_room_settings: BETWEEN_GAMES,
+  add_bot: BETWEEN_GAMES,
+  remove_bot: BETWEEN_GAMES
+};
+
+const COUNTDOWN_SECONDS = 6;
+
+// Move the room to another phase. Returns false (and changes nothing) for an illegal move.
+function setPhase(room, phase) {
+  const from = room.phase || 'waiting';
+  if (from === phase) return true;
+
+  if (!PHASE_TRANSITIONS[from]?.includes(phase)) {
+    console.warn(`Illegal phase change ${from} -> ${phase} in room ${room.id}`);
+    return false;
+  }
+
+  room.phase = phase;
+  room.gameStarted = phase === 'dealing' || phase === 'playing';
+  room.deckShuffled = phase === 'dealing';
+  console.log(`Room ${room.id} phase: ${from} -> ${phase}`);
+  return true;
+}
+
+// Reject a command used in the wrong phase (null when it's allowed)
+function checkPhase(room, command) {
+  const allowed = COMMAND_PHASES[command];
+  const phase = room.phase || 'waiting';
+  if (!allowed || allowed.includes(phase)) return null;
+  return reject('WRONG_PHASE', { phase, allowed });
+}
+
+// Clear everything about the current game: table, turn, hands, timers and ready state
+function resetGame(room) {
+  clearTurnTimer(room);
+  clearDealTimer(room);
+
+  room.pile = [];
+  room.currentCombination = null;
+  room.winner = null;
+  room.winnerLastCards = null;
+  room.placements = [];
+  room.passes = [];
+  room.lastPlayer = null;
+  room.lastTurn = null;
+  room.turn = null;
+  room.round = 1;
+  room.openingCard = null;
+  room.chops = [];
+  room.playedCards = [];
+
+  room.players.forEach(player => {
+    cancelBotMove(player);
+    clearTimeout(player.autopilotTimer);
+    player.autopilotTimer = null;
+    player.autopilot = false;
+    player.hand = [];
+    player.cardsPlayed = 0;
+    player.ready = Boolean(player.isBot); // Bots stay ready
+  });
+}
+
+// Put an empty room back to how it was created: no game, seats, viewers or session history
+function resetRoom(room) {
+  cancelCountdown(null, room);
+  resetGame(room);
+  setPhase(room, 'waiting');
+
+  room.players = [];
+  room.viewers = [];
+  room.chairs = createEmptyChairs();
+  room.hostUserId = null;
+  room.previousWinner = null;
+  room.scoreSheets = [];
+  room.sessionScores = {};
+  room.gameLogs = [];
+  room.shuffleSeed = null;
+  room.seedCommitment = null;
+  room.revealedShuffle = null;
+}
+
+// Start a new game: clear the last one, commit to the deal and start the dealing timer
+function startGame(io, room, event = "game_started") {
+  clearCountdown(room);
+  if (room.phase === 'finished') setPhase(room, 'waiting');
+  if (!setPhase(room, 'dealing')) return false;
+
+  resetGame(room);
+  prepareShuffle(room); // Commit to the deal before anyone sees a card
+  scheduleDeal(io, room);
+  emitRoomState(io, room, event);
+  return true;
+}
+
+// Count down to the start once every seated player is ready
+function startCountdown(io, room) {
+  if (room.phase === 'countdown') return false; // Already counting down
+  if (room.phase === 'finished') setPhase(room, 'waiting');
+  if (!setPhase(room, 'countdown')) return false;
+
+  room.countdownTime = COUNTDOWN_SECONDS;
+  io.to(room.id).emit("countdown_update", room.countdownTime);
+
+  room.countdownInterval = setInterval(() => {
+    room.countdownTime--;
+
+    if (room.countdownTime <= 0) {
+      // Time's up - start the game automatically
+      startGame(io, room);
+    } else {
+      io.to(room.id).emit("countdown_update", room.countdownTime);
+    }
+  }, 1000);
+  return true;
+}
+
+function clearCountdown(room) {
+  if (room.countdownInterval) {
+    clearInterval(room.countdownInterval);
+    room.countdownInterval = null;
+  }
+  room.countdownTime = null;
+}
+
+// Stop a running countdown (someone unreadied, left or a seat changed)
+function cancelCountdown(io, room) {
+  clearCountdown(room);
+
+  if (room.phase === 'countdown') {
+    setPhase(room, 'waiting');
+    io?.to(room.id).emit("countdown_update", null);
+  }
+}
+
+export {
+  PHASES,
+  COMMAND_PHASES,
+  setPhase,
+  checkPhase,
+  resetGame,
+  resetRoom,
+  startGame,
+  startCountdown,
+  cancelCountdown
+};
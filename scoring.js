@@ -0,0 +1,155 @@
+// End-of-game scoring: penalties for what is left in each hand
+import { parseCard, RANK_ORDER, isBomb } from './gameLogic.js';
+
+// Penalty points
+const CARD_PENALTY = 1; // Per card left in hand
+const TWO_PENALTY_BY_SUIT = { '♠': 3, '♣': 3, '♦': 6, '♥': 6 }; // Unplayed 2s, red 2s cost double
+const BOMB_PENALTY = { three_pairs: 6, four_of_kind: 9, four_pairs: 12 }; // Unplayed bombs
+const FROZEN_PENALTY = 26; // Cóng: never played a card while someone went out
+
+const MAX_SCORE_SHEETS = 20; // Score sheets kept per session
+
+// Bombs still sitting in a hand. Every card counts towards one bomb at most: where a
+// four of a kind overlaps a run of pairs, the split with the highest penalty is scored.
+// Four 2s are already penalized as 2s, so they don't count as a bomb as well.
+function findBombs(hand) {
+  const rankCounts = {};
+  hand.forEach(card => {
+    const { rankValue } = parseCard(card);
+    rankCounts[rankValue] = (rankCounts[rankValue] || 0) + 1;
+  });
+
+  return findBestBombs(rankCounts, RANK_ORDER['3']).bombs
+    .sort((a, b) => a.rankValue - b.rankValue);
+}
+
+// Highest-penalty set of bombs made from the ranks from rankValue up (2s can't be part
+// of a run). Takes rank counts and leaves them as it found them.
+function findBestBombs(rankCounts, rankValue) {
+  if (rankValue > RANK_ORDER['A']) return { penalty: 0, bombs: [] };
+
+  // No bomb uses another card of this rank
+  let best = findBestBombs(rankCounts, rankValue + 1);
+  const consider = (bomb, usedCounts) => {
+    Object.entries(usedCounts).forEach(([rank, used]) => { rankCounts[rank] -= used; });
+    const rest = findBestBombs(rankCounts, rankValue);
+    Object.entries(usedCounts).forEach(([rank, used]) => { rankCounts[rank] += used; });
+
+    const penalty = BOMB_PENALTY[bomb.type] + rest.penalty;
+    if (penalty > best.penalty) best = { penalty, bombs: [bomb, ...rest.bombs] };
+  };
+
+  if (rankCounts[rankValue] === 4) {
+    consider({ type: 'four_of_kind', rankValue }, { [rankValue]: 4 });
+  }
+
+  // Runs of consecutive pairs starting at this rank
+  const usedCounts = {};
+  for (let top = rankValue; top <= RANK_ORDER['A'] && (rankCounts[top] || 0) >= 2; top++) {
+    usedCounts[top] = 2;
+    const length = top - rankValue + 1;
+    if (length >= 3) {
+      consider({ type: length >= 4 ? 'four_pairs' : 'three_pairs', rankValue: top }, { ...usedCounts });
+    }
+  }
+
+  return best;
+}
+
+// Penalty for getting chopped: the value of the 2s or bomb that was beaten
+function chopPenalty(combo) {
+  if (isBomb(combo.type)) return BOMB_PENALTY[combo.type];
+  return combo.cards.reduce((sum, card) => sum + (TWO_PENALTY_BY_SUIT[parseCard(card).suit] || 0), 0);
+}
+
+// Net chop points per player id. A countered chop was passed on down the chain,
+// so only the last chop of each chain is settled.
+function settleChops(chops = []) {
+  const net = {};
+  chops.filter(chop => !chop.countered).forEach(chop => {
+    net[chop.chopperId] = (net[chop.chopperId] || 0) + chop.penalty;
+    net[chop.victimId] = (net[chop.victimId] || 0) - chop.penalty;
+  });
+  return net;
+}
+
+// Penalty breakdown for one player's remaining hand
+function scoreHand(hand, { frozen = false } = {}) {
+  const twos = hand.filter(card => parseCard(card).rankValue === RANK_ORDER['2']);
+  const bombs = findBombs(hand);
+
+  const penalties = {
+    cards: hand.length * CARD_PENALTY,
+    twos: twos.reduce((sum, card) => sum + TWO_PENALTY_BY_SUIT[parseCard(card).suit], 0),
+    bombs: bombs.reduce((sum, bomb) => sum + BOMB_PENALTY[bomb.type], 0),
+    frozen: frozen ? FROZEN_PENALTY : 0
+  };
+
+  return {
+    cardsLeft: hand.length,
+    twosLeft: twos,
+    bombsLeft: bombs.map(bomb => bomb.type),
+    penalties,
+    penalty: penalties.cards + penalties.twos + penalties.bombs + penalties.frozen
+  };
+}
+
+// Build the score sheet for a finished game. The winner collects every other player's
+// penalty, and chop penalties move from the chopped player to the chopper.
+function computeScoreSheet(room, reason) {
+  const placements = room.placements || [];
+  // Nobody got a chance to play after an instant win, so nobody is frozen
+  const canFreeze = reason !== 'instant_win';
+
+  const entries = placements.map((playerId, index) => {
+    const player = room.players.find(p => p.id === playerId);
+    const hand = player?.hand || [];
+    const frozen = canFreeze && index > 0 && !player?.cardsPlayed;
+
+    return {
+      place: index + 1,
+      playerId,
+      userId: player?.userId || null,
+      name: player?.name || null,
+      ...scoreHand(hand, { frozen })
+    };
+  });
+
+  const pot = entries.slice(1).reduce((sum, entry) => sum + entry.penalty, 0);
+  const chopPoints = settleChops(room.chops);
+  entries.forEach((entry, index) => {
+    entry.chopPoints = chopPoints[entry.playerId] || 0;
+    entry.points = (index === 0 ? pot : -entry.penalty) + entry.chopPoints;
+  });
+
+  return {
+    gameNumber: (room.scoreSheets?.length || 0) + 1,
+    reason,
+    finishedAt: Date.now(),
+    entries,
+    chops: room.chops || []
+  };
+}
+
+// Add a score sheet to the room's session history and running totals
+function recordScoreSheet(room, sheet) {
+  if (!room.scoreSheets) room.scoreSheets = [];
+  if (!room.sessionScores) room.sessionScores = {};
+
+  room.scoreSheets.push(sheet);
+  if (room.scoreSheets.length > MAX_SCORE_SHEETS) {
+    room.scoreSheets.shift();
+  }
+
+  // Totals are keyed by user id so they survive reconnects (socket ids change)
+  sheet.entries.forEach(entry => {
+    const key = entry.userId || entry.playerId;
+    const total = room.sessionScores[key] || { name: entry.name, points: 0, games: 0 };
+    total.name = entry.name;
+    total.points += entry.points;
+    total.games += 1;
+    room.sessionScores[key] = total;
+  });
+}
+
+export { findBombs, scoreHand, chopPenalty, computeScoreSheet, recordScoreSheet };
@@ -0,0 +1,93 @@
+// Headless self-play harness for comparing bot difficulty tiers
+// Usage: node selfPlay.js [--games 100] [--seats easy,medium,hard,medium] [--seed abc]
+// Tiers rotate through the seats every game so no tier keeps the same position.
+// With --seed the deals are the same on every run (game n uses `${seed}:${n}`).
+import { generateDeck, shuffleDeck } from './cardUtils.js';
+import { sortCards } from './gameLogic.js';
+import { createSimulation, runSimulation } from './simulation.js';
+import { BOT_DIFFICULTIES, chooseMoveForDifficulty } from './botStrategies.js';
+
+function parseArgs(argv) {
+  const options = { games: 100, seats: ['easy', 'medium', 'hard', 'medium'], seed: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--games') options.games = parseInt(argv[++i], 10);
+    if (argv[i] === '--seats') options.seats = argv[++i].split(',');
+    if (argv[i] === '--seed') options.seed = argv[++i];
+  }
+
+  if (!Number.isInteger(options.games) || options.games < 1) {
+    throw new Error('--games must be a positive integer');
+  }
+  if (options.seats.length < 2 || options.seats.length > 4) {
+    throw new Error('--seats needs 2 to 4 tiers');
+  }
+  const unknown = options.seats.find(tier => !BOT_DIFFICULTIES.includes(tier));
+  if (unknown) {
+    throw new Error(`Unknown tier "${unknown}", expected one of ${BOT_DIFFICULTIES.join(', ')}`);
+  }
+
+  return options;
+}
+
+// Deal a fresh game: 13 cards per seat, the holder of the lowest dealt card leads with it
+function dealGame(seatCount, seed) {
+  const deck = shuffleDeck(generateDeck(), seed ?? undefined);
+
+  const order = [];
+  const hands = {};
+  for (let seat = 0; seat < seatCount; seat++) {
+    const id = `seat_${seat}`;
+    order.push(id);
+    hands[id] = deck.slice(seat * 13, (seat + 1) * 13);
+  }
+
+  const openingCard = sortCards(order.flatMap(id => hands[id]))[0];
+  const turn = order.find(id => hands[id].includes(openingCard));
+
+  return createSimulation({ hands, order, turn, openingCard });
+}
+
+function playGames({ games, seats, seed }) {
+  const stats = {};
+  seats.forEach(tier => {
+    stats[tier] = stats[tier] || { seats: 0, wins: 0, placeTotal: 0 };
+  });
+
+  for (let game = 0; game < games; game++) {
+    // Rotate tiers around the table
+    const tiers = seats.map((_, seat) => seats[(seat + game) % seats.length]);
+    const state = dealGame(seats.length, seed === null ? null : `${seed}:${game}`);
+    const tierOf = id => tiers[state.order.indexOf(id)];
+
+    runSimulation(state, view => chooseMoveForDifficulty(view, tierOf(view.playerId)));
+
+    state.order.forEach(id => {
+      const place = state.placements.indexOf(id) + 1 || seats.length;
+      const tierStats = stats[tierOf(id)];
+      tierStats.seats++;
+      tierStats.placeTotal += place;
+      if (place === 1) tierStats.wins++;
+    });
+  }
+
+  return stats;
+}
+
+function printStats(stats, games) {
+  console.log(`Results over ${games} games`);
+  console.log('tier     seats   win rate   avg place');
+  Object.entries(stats).forEach(([tier, { seats, wins, placeTotal }]) => {
+    const winRate = `${((wins / seats) * 100).toFixed(1)}%`;
+    const averagePlace = (placeTotal / seats).toFixed(2);
+    console.log(`${tier.padEnd(8)} ${String(seats).padStart(5)}   ${winRate.padStart(8)}   ${averagePlace.padStart(9)}`);
+  });
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  printStats(playGames(options), options.games);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
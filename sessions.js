@@ -0,0 +1,51 @@
+// Resumable sessions. Every member gets an opaque session token when they join a room;
+// presenting it again (resume_session) gives a player back the same seat, and a viewer
+// their place among the viewers, after a dropped connection, whatever their socket id or
+// user id. Only a hash of the token is kept, and it moves with the member when they sit
+// down or stand up. While a member is offline, the discrete events broadcast to their
+// room are queued so they can be replayed on resume.
+import crypto from 'crypto';
+
+const MAX_MISSED_EVENTS = 100;
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Give the player a fresh token (any previous one stops working) and an empty event queue
+function issueSessionToken(player) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  player.sessionTokenHash = hashSessionToken(token);
+  player.missedEvents = [];
+  return token;
+}
+
+// The player or viewer holding the session, or null
+function findMemberBySessionToken(room, token) {
+  if (!token) return null;
+  const tokenHash = hashSessionToken(token);
+  const holdsToken = member => member.sessionTokenHash && member.sessionTokenHash === tokenHash;
+  return room.players.find(holdsToken) || (room.viewers || []).find(holdsToken) || null;
+}
+
+// Queue a room event for every member who is offline but may still resume
+function recordMissedEvent(room, event, payload) {
+  [...room.players, ...(room.viewers || [])].forEach(member => {
+    if (member.connected || member.isBot || !member.sessionTokenHash) return;
+
+    if (!member.missedEvents) member.missedEvents = [];
+    member.missedEvents.push({ event, payload, timestamp: Date.now() });
+    if (member.missedEvents.length > MAX_MISSED_EVENTS) {
+      member.missedEvents.shift();
+    }
+  });
+}
+
+// Hand over (and clear) the events queued while the member was offline
+function takeMissedEvents(member) {
+  const missedEvents = member.missedEvents || [];
+  member.missedEvents = [];
+  return missedEvents;
+}
+
+export { issueSessionToken, findMemberBySessionToken, recordMissedEvent, takeMissedEvents };
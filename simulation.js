@@ -0,0 +1,159 @@
+// Headless Tien Len game engine used by bot search and the self-play harness.
+// Follows the same turn rules as turnManager (clockwise order, passes, finishing
+// order, new rounds) on plain objects, without rooms, sockets or timers.
+import { validateCombination, sortCards } from './gameLogic.js';
+import { generateDeck } from './cardUtils.js';
+
+// Build a simulation state. hands maps player id -> cards, order lists the ids clockwise.
+function createSimulation({
+  hands,
+  order,
+  turn,
+  currentCombination = null,
+  lastPlayer = null,
+  passes = [],
+  placements = [],
+  openingCard = null,
+  playedCards = []
+}) {
+  const copiedHands = {};
+  order.forEach(id => {
+    copiedHands[id] = [...(hands[id] || [])];
+  });
+
+  return {
+    hands: copiedHands,
+    order: [...order],
+    turn,
+    currentCombination,
+    lastPlayer,
+    passes: [...passes],
+    placements: [...placements],
+    openingCard,
+    playedCards: [...playedCards],
+    finished: false
+  };
+}
+
+// Player ids still holding cards, clockwise
+function getActiveIds(state) {
+  return state.order.filter(id => state.hands[id].length > 0);
+}
+
+// Next player clockwise who is still in the game and hasn't passed this round
+function getNextId(state, fromId) {
+  const fromIndex = state.order.indexOf(fromId);
+
+  for (let i = 1; i < state.order.length; i++) {
+    const id = state.order[(fromIndex + i) % state.order.length];
+    if (state.hands[id].length > 0 && !state.passes.includes(id)) {
+      return id;
+    }
+  }
+
+  return null;
+}
+
+function startNewRound(state) {
+  state.currentCombination = null;
+  state.passes = [];
+  state.turn = state.hands[state.lastPlayer]?.length > 0
+    ? state.lastPlayer
+    : getNextId(state, state.lastPlayer);
+}
+
+// Apply a play (cards) or a pass (null) for the player whose turn it is.
+// Moves are trusted to be legal, callers pick them from getValidMoves.
+function applyMove(state, playerId, cards) {
+  if (state.finished) return state;
+
+  if (cards) {
+    state.hands[playerId] = state.hands[playerId].filter(card => !cards.includes(card));
+    state.currentCombination = validateCombination(cards);
+    state.lastPlayer = playerId;
+    state.openingCard = null;
+    state.playedCards.push(...cards);
+
+    if (state.hands[playerId].length === 0) {
+      state.placements.push(playerId);
+
+      const activeIds = getActiveIds(state);
+      if (activeIds.length <= 1) {
+        state.placements.push(...activeIds);
+        state.finished = true;
+        state.turn = null;
+        return state;
+      }
+    }
+
+    const nextId = getNextId(state, playerId);
+    if (nextId) {
+      state.turn = nextId;
+    } else {
+      startNewRound(state);
+    }
+    return state;
+  }
+
+  if (!state.passes.includes(playerId)) {
+    state.passes.push(playerId);
+  }
+
+  const contenders = getActiveIds(state).filter(id => id !== state.lastPlayer);
+  if (contenders.every(id => state.passes.includes(id))) {
+    startNewRound(state);
+  } else {
+    state.turn = getNextId(state, playerId) || state.turn;
+  }
+  return state;
+}
+
+// What one player knows about the game: the same shape bots get from a live room
+function getSimulationView(state, playerId) {
+  const hand = state.hands[playerId];
+  const handCounts = {};
+  state.order.forEach(id => {
+    handCounts[id] = state.hands[id].length;
+  });
+
+  const known = new Set([...hand, ...state.playedCards]);
+
+  return {
+    playerId,
+    hand,
+    currentCombination: state.currentCombination,
+    openingCard: state.openingCard,
+    order: state.order,
+    handCounts,
+    passes: state.passes,
+    lastPlayer: state.lastPlayer,
+    placements: state.placements,
+    playedCards: state.playedCards,
+    unseenCards: generateDeck().filter(card => !known.has(card))
+  };
+}
+
+// Play the game out. policy(view) returns the cards to play or null to pass.
+function runSimulation(state, policy, maxSteps = 500) {
+  for (let step = 0; step < maxSteps && !state.finished && state.turn; step++) {
+    const playerId = state.turn;
+    let cards = policy(getSimulationView(state, playerId));
+
+    // Whoever holds the lead has to play something
+    if (!cards && !state.currentCombination) {
+      cards = [state.openingCard || sortCards(state.hands[playerId])[0]];
+    }
+
+    applyMove(state, playerId, cards);
+  }
+
+  return state;
+}
+
+export {
+  createSimulation,
+  getActiveIds,
+  applyMove,
+  getSimulationView,
+  runSimulation
+};
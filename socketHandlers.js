@@ -1,26 +1,33 @@
-// Socket event handlers with Supabase integration
-import { rooms, setDatabaseLoader } from './roomManager.js';
+// Socket event handlers, persisted through the configured storage backend
+import { rooms, createEmptyChairs, removeDisconnectedMembers, setDatabaseLoader, setDatabaseSaver } from './roomManager.js';
 import { initializeRooms } from './roomHelpers.js';
 import { setupRoomHandlers } from './roomHandlers.js';
 import { setupGameHandlers } from './gameHandlers.js';
 import { setupPlayHandlers } from './playHandlers.js';
 import { setupBotHandlers } from './botHandlers.js';
+import { setupReplayHandlers } from './replayHandlers.js';
 import { setupConnectionHandlers } from './connectionHandlers.js';
-import { loadRoomFromDB, getRoomsFromDB } from './databaseHelpers.js';
+import { loadRoomFromDB, saveRoomToDB, getRoomsFromDB } from './databaseHelpers.js';
+import { resetRoom } from './roomPhases.js';
+import { assignHost } from './permissions.js';
 
-function setupSocketHandlers(io, supabase) {
+function setupSocketHandlers(io, storage) {
   // Initialize rooms on server start
-  initializeRooms(supabase);
+  initializeRooms(storage);
 
   // Inject the database loader function
-  setDatabaseLoader((roomId) => loadRoomFromDB(roomId, supabase));
+  setDatabaseLoader((roomId) => loadRoomFromDB(roomId, storage));
+
+  // Inject the database saver, so every play and the game log are stored as they happen
+  setDatabaseSaver((room) => saveRoomToDB(room, storage));
 
   // Setup all socket event handlers
-  setupRoomHandlers(io, supabase);
-  setupGameHandlers(io, supabase);
-  setupPlayHandlers(io, supabase);
-  setupBotHandlers(io, supabase);
-  setupConnectionHandlers(io, supabase);
+  setupRoomHandlers(io, storage);
+  setupGameHandlers(io, storage);
+  setupPlayHandlers(io, storage);
+  setupBotHandlers(io, storage);
+  setupReplayHandlers(io, storage);
+  setupConnectionHandlers(io, storage);
 
   // Improved periodic cleanup of empty rooms (every 2 minutes)
   setInterval(async () => {
@@ -29,33 +36,22 @@ function setupSocketHandlers(io, supabase) {
 
     for (const [roomId, room] of rooms) {
       const totalPlayers = room.players.length + room.viewers.length;
-      const connectedPlayers = room.players.filter(p => p.connected).length;
+      // Bots don't keep a room alive
+      const connectedPlayers = room.players.filter(p => p.connected && !p.isBot).length;
       const connectedViewers = room.viewers.filter(v => v.connected).length;
       const totalConnected = connectedPlayers + connectedViewers;
 
       console.log(`Room ${roomId}: ${totalPlayers} total (${connectedPlayers} connected players, ${connectedViewers} connected viewers), ${totalConnected} total connected`);
 
-      // Clean up disconnected users from arrays (remove users disconnected for more than 30 seconds)
-      const now = Date.now();
-      room.players = room.players.filter(player => {
-        if (!player.connected && player.disconnectedAt && (now - player.disconnectedAt) > 30000) {
-          console.log(`Removing disconnected player ${player.id} from room ${roomId}`);
-          return false;
-        }
-        return true;
-      });
+      // Clean up disconnected users (offline for more than 30 seconds and not in the game that's on)
+      removeDisconnectedMembers(room, now);
 
-      room.viewers = room.viewers.filter(viewer => {
-        if (!viewer.connected && viewer.disconnectedAt && (now - viewer.disconnectedAt) > 30000) {
-          console.log(`Removing disconnected viewer ${viewer.id} from room ${roomId}`);
-          return false;
-        }
-        return true;
-      });
+      // Hand the room on if the host was removed
+      assignHost(room);
 
       // Recalculate counts after cleanup
       const cleanedTotalPlayers = room.players.length + room.viewers.length;
-      const cleanedConnectedPlayers = room.players.filter(p => p.connected).length;
+      const cleanedConnectedPlayers = room.players.filter(p => p.connected && !p.isBot).length;
       const cleanedConnectedViewers = room.viewers.filter(v => v.connected).length;
       const cleanedTotalConnected = cleanedConnectedPlayers + cleanedConnectedViewers;
 
@@ -65,42 +61,32 @@ function setupSocketHandlers(io, supabase) {
       if (cleanedTotalConnected === 0) {
         console.log(`Resetting empty room: ${roomId} to default state`);
         // Reset room in memory
-        room.players = [];
-        room.viewers = [];
-        room.pile = [];
-        room.turn = null;
-        room.currentCombination = null;
-        room.gameStarted = false;
-        room.winner = null;
-        room.passes = [];
-        room.lastPlayer = null;
-        room.round = 1;
-        room.deckShuffled = false;
+        resetRoom(room);
 
         // Reset room in database - clear all data when no connected users
         try {
-          await supabase
-            .from('thirteen_rooms')
-            .update({
-              current_players: 0,
-              active_connections: 0,
-              players: [],
-              viewers: [],
-              game_started: false,
-              game_state: {
-                pile: [],
-                currentCombination: null,
-                turn: null,
-                passes: [],
-                lastPlayer: null,
-                winner: null,
-                round: 1,
-                deckShuffled: false
-              },
-              connected_socket_ids: [],
-              last_activity: new Date().toISOString()
-            })
-            .eq('room_id', roomId);
+          await storage.updateRoom(roomId, {
+            current_players: 0,
+            active_connections: 0,
+            players: [],
+            viewers: [],
+            game_started: false,
+            game_state: {
+              pile: [],
+              currentCombination: null,
+              turn: null,
+              passes: [],
+              lastPlayer: null,
+              winner: null,
+              placements: [],
+              round: 1,
+              deckShuffled: false,
+              phase: 'waiting',
+              chairs: createEmptyChairs()
+            },
+            connected_socket_ids: [],
+            last_activity: new Date().toISOString()
+          });
           console.log(`Reset room ${roomId} in database`);
         } catch (error) {
           console.error(`Failed to reset room ${roomId} in database:`, error);
@@ -114,42 +100,32 @@ function setupSocketHandlers(io, supabase) {
       if (inactiveTime > 10 * 60 * 1000) { // 10 minutes
         console.log(`Resetting inactive room: ${roomId} (${Math.round(inactiveTime / 60000)} minutes inactive)`);
         // Reset room in memory to default state
-        room.players = [];
-        room.viewers = [];
-        room.pile = [];
-        room.turn = null;
-        room.currentCombination = null;
-        room.gameStarted = false;
-        room.winner = null;
-        room.passes = [];
-        room.lastPlayer = null;
-        room.round = 1;
-        room.deckShuffled = false;
+        resetRoom(room);
 
         // Reset room in database - clear all data for inactive rooms
         try {
-          await supabase
-            .from('thirteen_rooms')
-            .update({
-              current_players: 0,
-              active_connections: 0,
-              players: [],
-              viewers: [],
-              game_started: false,
-              game_state: {
-                pile: [],
-                currentCombination: null,
-                turn: null,
-                passes: [],
-                lastPlayer: null,
-                winner: null,
-                round: 1,
-                deckShuffled: false
-              },
-              connected_socket_ids: [],
-              last_activity: new Date().toISOString()
-            })
-            .eq('room_id', roomId);
+          await storage.updateRoom(roomId, {
+            current_players: 0,
+            active_connections: 0,
+            players: [],
+            viewers: [],
+            game_started: false,
+            game_state: {
+              pile: [],
+              currentCombination: null,
+              turn: null,
+              passes: [],
+              lastPlayer: null,
+              winner: null,
+              placements: [],
+              round: 1,
+              deckShuffled: false,
+              phase: 'waiting',
+              chairs: createEmptyChairs()
+            },
+            connected_socket_ids: [],
+            last_activity: new Date().toISOString()
+          });
           console.log(`Reset inactive room ${roomId} in database`);
         } catch (error) {
           console.error(`Failed to reset inactive room ${roomId} in database:`, error);
@@ -160,13 +136,10 @@ function setupSocketHandlers(io, supabase) {
       // Update room activity in database if there are active players
       if (totalPlayers > 0) {
         try {
-          await supabase
-            .from('thirteen_rooms')
-            .update({
-              last_activity: new Date().toISOString(),
-              active_connections: totalPlayers
-            })
-            .eq('room_id', roomId);
+          await storage.updateRoom(roomId, {
+            last_activity: new Date().toISOString(),
+            active_connections: totalPlayers
+          });
         } catch (error) {
           console.error(`Failed to update activity for room ${roomId}:`, error);
         }
@@ -0,0 +1,157 @@
+// Storage backends for rooms and user profiles. Everything that persists goes through
+// one of these, so the server runs the same on Supabase or on a laptop with no network.
+//
+// Every backend implements:
+//   hasRooms()                  -> true once any room record exists
+//   listRooms()                 -> every room record, newest first
+//   getRoom(roomId)             -> the room record or null
+//   insertRooms(records)
+//   upsertRoom(record)          -> insert or replace by room_id
+//   updateRoom(roomId, changes) -> merge changes into an existing record
+//   getUserProfiles(userIds)    -> [{ id, profile_pic }]
+// Room records use the thirteen_rooms row shape (room_id, room_name, players, viewers,
+// game_started, game_state, ...). Failures are thrown.
+import fs from 'fs';
+import { createClient } from '@supabase/supabase-js';
+
+const ROOMS_TABLE = 'thirteen_rooms';
+const USERS_TABLE = 'users';
+const NO_ROWS = 'PGRST116'; // PostgREST: .single() matched nothing
+
+function createSupabaseStorage(client) {
+  // Supabase answers { data, error }, turn errors into exceptions
+  const unwrap = ({ data, error }) => {
+    if (error) throw error;
+    return data;
+  };
+
+  return {
+    name: 'supabase',
+
+    async hasRooms() {
+      const data = unwrap(await client.from(ROOMS_TABLE).select('room_id').limit(1));
+      return data.length > 0;
+    },
+
+    async listRooms() {
+      return unwrap(await client.from(ROOMS_TABLE).select('*').order('id', { ascending: false })) || [];
+    },
+
+    async getRoom(roomId) {
+      const { data, error } = await client.from(ROOMS_TABLE).select('*').eq('room_id', roomId).single();
+      if (error && error.code !== NO_ROWS) throw error;
+      return data || null;
+    },
+
+    async insertRooms(records) {
+      unwrap(await client.from(ROOMS_TABLE).insert(records));
+    },
+
+    async upsertRoom(record) {
+      unwrap(await client.from(ROOMS_TABLE).upsert(record, { onConflict: 'room_id' }));
+    },
+
+    async updateRoom(roomId, changes) {
+      unwrap(await client.from(ROOMS_TABLE).update(changes).eq('room_id', roomId));
+    },
+
+    async getUserProfiles(userIds) {
+      return unwrap(await client.from(USERS_TABLE).select('id, profile_pic').in('id', userIds)) || [];
+    }
+  };
+}
+
+// Rooms and users kept in memory. With a filePath everything is also written to a JSON
+// file after each change and read back on start, so rooms survive a restart.
+function createLocalStorage({ filePath = null, users = [] } = {}) {
+  let data = { rooms: [], users, nextId: 1 };
+
+  if (filePath && fs.existsSync(filePath)) {
+    data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    console.log(`Loaded ${data.rooms.length} rooms from ${filePath}`);
+  }
+
+  const persist = () => {
+    if (filePath) fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  };
+
+  // Records are copied in and out so callers never share objects with the store
+  const copy = value => structuredClone(value);
+  const findRoom = roomId => data.rooms.find(room => room.room_id === roomId);
+
+  return {
+    name: filePath ? `file (${filePath})` : 'memory',
+
+    async hasRooms() {
+      return data.rooms.length > 0;
+    },
+
+    async listRooms() {
+      return copy([...data.rooms].sort((a, b) => b.id - a.id));
+    },
+
+    async getRoom(roomId) {
+      const room = findRoom(roomId);
+      return room ? copy(room) : null;
+    },
+
+    async insertRooms(records) {
+      records.forEach(record => {
+        if (findRoom(record.room_id)) throw new Error(`Room ${record.room_id} already exists`);
+        // Same defaults as the thirteen_rooms table
+        data.rooms.push({
+          id: data.nextId++,
+          created_at: new Date().toISOString(),
+          current_players: 0,
+          active_connections: 0,
+          players: [],
+          viewers: [],
+          game_started: false,
+          game_state: {},
+          ...copy(record)
+        });
+      });
+      persist();
+    },
+
+    async upsertRoom(record) {
+      const existing = findRoom(record.room_id);
+      if (existing) {
+        Object.assign(existing, copy(record));
+        persist();
+      } else {
+        await this.insertRooms([record]);
+      }
+    },
+
+    async updateRoom(roomId, changes) {
+      const existing = findRoom(roomId);
+      if (existing) {
+        Object.assign(existing, copy(changes));
+        persist();
+      }
+    },
+
+    async getUserProfiles(userIds) {
+      return copy(data.users.filter(user => userIds.includes(user.id)));
+    }
+  };
+}
+
+// Pick the backend from the environment: Supabase when it's configured (unless
+// STORAGE=local), otherwise local storage, kept in STORAGE_FILE if that is set
+function createStorage(env = process.env) {
+  const supabaseUrl = env.VITE_SUPABASE_URL;
+  const supabaseKey = env.VITE_SUPABASE_ANON_KEY;
+
+  if (env.STORAGE !== 'local' && supabaseUrl && supabaseKey) {
+    return createSupabaseStorage(createClient(supabaseUrl, supabaseKey));
+  }
+
+  if (env.STORAGE !== 'local') {
+    console.warn('Supabase is not configured (VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY), using local storage');
+  }
+  return createLocalStorage({ filePath: env.STORAGE_FILE || null });
+}
+
+export { createStorage, createSupabaseStorage, createLocalStorage };
@@ -0,0 +1,54 @@
+// Structured command results (actionResults.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { onCommand, accept, reject } from '../actionResults.js';
+
+// A socket with one command registered, send() resolves once the command has answered
+function commandSocket(action, handler) {
+  const handlers = {};
+  const socket = {
+    id: 'socket_1',
+    emitted: [],
+    on: (event, listener) => { handlers[event] = listener; },
+    emit: (event, payload) => socket.emitted.push({ event, payload })
+  };
+  onCommand(socket, action, handler);
+  socket.send = (...args) => handlers[action](...args);
+  return socket;
+}
+
+test('results go back through the acknowledgement', async () => {
+  const socket = commandSocket('pass', roomId => accept({ roomId }));
+  let answer = null;
+  await socket.send('room_01', result => { answer = result; });
+  assert.deepEqual(answer, { ok: true, roomId: 'room_01' });
+});
+
+test('rejections without an acknowledgement go out as action_rejected', async () => {
+  const socket = commandSocket('pass', () => reject('NOT_YOUR_TURN', { turn: 'other' }));
+  await socket.send('room_01');
+  assert.deepEqual(socket.emitted, [{
+    event: 'action_rejected',
+    payload: { action: 'pass', ok: false, code: 'NOT_YOUR_TURN', message: "It's not your turn", details: { turn: 'other' } }
+  }]);
+});
+
+test('malformed arguments never reach the handler', async () => {
+  let called = false;
+  const socket = commandSocket('pass', () => { called = true; return accept(); });
+  let answer = null;
+  await socket.send(42, result => { answer = result; });
+  assert.equal(called, false);
+  assert.equal(answer.code, 'INVALID_PAYLOAD');
+});
+
+test('a handler that throws answers with INTERNAL_ERROR', async () => {
+  const socket = commandSocket('pass', async () => { throw new Error('storage is down'); });
+  let answer = null;
+  await socket.send('room_01', result => { answer = result; });
+  assert.equal(answer.ok, false);
+  assert.equal(answer.code, 'INTERNAL_ERROR');
+
+  await socket.send('room_01');
+  assert.equal(socket.emitted.at(-1).payload.code, 'INTERNAL_ERROR');
+});
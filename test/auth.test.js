@@ -0,0 +1,90 @@
+// Handshake authentication with locally signed tokens (auth.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { createAuthMiddleware, verifyUserToken, isGuestId } from '../auth.js';
+
+const JWT_SECRET = 'test-jwt-secret';
+const GUEST_SECRET = 'test-guest-secret';
+
+const signUserToken = (payload, options = {}) =>
+  jwt.sign(payload, JWT_SECRET, { algorithm: 'HS256', audience: 'authenticated', expiresIn: '1h', ...options });
+
+// Run the middleware for a fake socket, resolves with the socket and the error passed to next
+function connect(middleware, auth = {}) {
+  const socket = { id: 'socket_1', handshake: { auth }, data: {} };
+  return new Promise(resolve => middleware(socket, error => resolve({ socket, error })));
+}
+
+const middleware = createAuthMiddleware({ jwtSecret: JWT_SECRET, guestSecret: GUEST_SECRET, adminUserIds: ['admin-1'] });
+
+test('a valid user token sets the user id', async () => {
+  const { socket, error } = await connect(middleware, { token: signUserToken({ sub: 'user-1' }) });
+  assert.equal(error, undefined);
+  assert.equal(socket.data.userId, 'user-1');
+  assert.equal(socket.data.isGuest, false);
+  assert.equal(socket.data.isAdmin, false);
+});
+
+test('users listed as admins are flagged', async () => {
+  const { socket } = await connect(middleware, { token: signUserToken({ sub: 'admin-1' }) });
+  assert.equal(socket.data.isAdmin, true);
+});
+
+test('a token for another audience is rejected', async () => {
+  const token = signUserToken({ sub: 'user-1' }, { audience: 'anon' });
+  const { error } = await connect(middleware, { token });
+  assert.equal(error.message, 'INVALID_TOKEN');
+  assert.equal(error.data.code, 'INVALID_TOKEN');
+});
+
+test('a tampered token is rejected', async () => {
+  const [header, , signature] = signUserToken({ sub: 'user-1' }).split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ sub: 'admin-1', aud: 'authenticated' })).toString('base64url');
+  const { error } = await connect(middleware, { token: `${header}.${forgedPayload}.${signature}` });
+  assert.equal(error.message, 'INVALID_TOKEN');
+});
+
+test('a token signed with another secret is rejected', async () => {
+  const token = jwt.sign({ sub: 'user-1' }, 'other-secret', { audience: 'authenticated' });
+  const { error } = await connect(middleware, { token });
+  assert.equal(error.message, 'INVALID_TOKEN');
+});
+
+test('an expired token is rejected', async () => {
+  const token = signUserToken({ sub: 'user-1' }, { expiresIn: -60 });
+  const { error } = await connect(middleware, { token });
+  assert.equal(error.message, 'INVALID_TOKEN');
+});
+
+test('a user token for a guest id is rejected', async () => {
+  const { error } = await connect(middleware, { token: signUserToken({ sub: 'guest_1234' }) });
+  assert.equal(error.message, 'INVALID_TOKEN');
+  assert.throws(() => verifyUserToken(signUserToken({ sub: 'guest_1234' }), JWT_SECRET));
+});
+
+test('guests get an identity they can present again', async () => {
+  const first = await connect(middleware);
+  assert.equal(first.error, undefined);
+  assert.ok(isGuestId(first.socket.data.userId));
+  assert.equal(first.socket.data.isGuest, true);
+  assert.equal(first.socket.data.isAdmin, false);
+
+  const second = await connect(middleware, { guestToken: first.socket.data.guestToken });
+  assert.equal(second.socket.data.userId, first.socket.data.userId);
+  assert.equal(second.socket.data.guestToken, first.socket.data.guestToken);
+});
+
+test('an invalid guest token gets a fresh guest identity', async () => {
+  const forged = jwt.sign({ sub: 'guest_forged' }, 'other-secret', { audience: 'guest' });
+  const { socket, error } = await connect(middleware, { guestToken: forged });
+  assert.equal(error, undefined);
+  assert.notEqual(socket.data.userId, 'guest_forged');
+  assert.ok(isGuestId(socket.data.userId));
+});
+
+test('a guest token is not accepted as a user token', async () => {
+  const { socket } = await connect(middleware);
+  const { error } = await connect(middleware, { token: socket.data.guestToken });
+  assert.equal(error.message, 'INVALID_TOKEN');
+});
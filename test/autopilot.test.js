@@ -0,0 +1,123 @@
+// A bot playing a disconnected player's hand (autopilot.js, connectionHandlers.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { createLocalStorage } from '../storage.js';
+import { rooms, createRoom, setDatabaseLoader } from '../roomManager.js';
+import { loadRoomFromDB } from '../databaseHelpers.js';
+import { setupRoomHandlers } from '../roomHandlers.js';
+import { setupConnectionHandlers } from '../connectionHandlers.js';
+import { scheduleAutopilot, stopAutopilot } from '../autopilot.js';
+import { validateCombination } from '../gameLogic.js';
+import { getCurrentGameLog, startGameLog } from '../gameLog.js';
+
+// Ann is offline and it's her turn to answer Bob's 4♦
+function tableWaitingOnAnn(roomId) {
+  const room = createRoom(roomId, 'Autopilot');
+  room.settings.turnDuration = 0;
+  room.settings.autopilotGrace = 10;
+  [['ann', ['3♠', '7♦', '9♣']], ['bob', ['5♥', 'Q♠', 'K♠']]].forEach(([id, hand], chair) => {
+    room.players.push({ id, name: id, hand, connected: true, chair, ready: true, difficulty: 'easy' });
+    room.chairs[chair] = id;
+  });
+  room.phase = 'playing';
+  room.gameStarted = true;
+  room.turn = 'ann';
+  startGameLog(room);
+  room.currentCombination = validateCombination(['4♦']);
+  room.lastPlayer = 'bob';
+
+  const ann = room.players[0];
+  ann.connected = false;
+  return { room, ann };
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 1000 && !condition(); i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+test('autopilot takes over once the grace period passes and plays the turn', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const io = createFakeIo();
+  const { room, ann } = tableWaitingOnAnn('autopilot_grace');
+
+  scheduleAutopilot(io, room, ann);
+  t.mock.timers.tick(9999);
+  assert.equal(ann.autopilot, undefined);
+  t.mock.timers.tick(1);
+  assert.equal(ann.autopilot, true);
+  assert.ok(ann.moveTimer);
+
+  t.mock.timers.tick(3500); // Longest bot thinking time
+  await waitFor(() => room.turn !== 'ann');
+
+  const lastMove = getCurrentGameLog(room).events.at(-1);
+  assert.equal(lastMove.playerId, 'ann');
+  assert.ok(lastMove.type === 'play' || lastMove.type === 'pass');
+  stopAutopilot(io, room, ann);
+});
+
+test('a player back within the grace period never gets autopilot', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const io = createFakeIo();
+  const { room, ann } = tableWaitingOnAnn('autopilot_back');
+
+  scheduleAutopilot(io, room, ann);
+  ann.connected = true;
+  t.mock.timers.tick(10000);
+  assert.equal(ann.autopilot, undefined);
+});
+
+test('stopping autopilot cancels the move it was about to make', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const io = createFakeIo();
+  const { room, ann } = tableWaitingOnAnn('autopilot_stop');
+
+  scheduleAutopilot(io, room, ann);
+  t.mock.timers.tick(10000);
+  stopAutopilot(io, room, ann);
+
+  assert.equal(ann.autopilot, false);
+  assert.equal(ann.moveTimer, null);
+  t.mock.timers.tick(3500);
+  assert.equal(room.turn, 'ann');
+});
+
+test('rejoining with the same user id hands the seat back from autopilot', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const storage = createLocalStorage();
+  await storage.insertRooms([{ room_id: 'autopilot_rejoin', room_name: 'Autopilot', players: [], viewers: [], game_started: false, game_state: {} }]);
+  setDatabaseLoader(id => loadRoomFromDB(id, storage));
+  const io = createFakeIo();
+  setupRoomHandlers(io, storage);
+  setupConnectionHandlers(io, storage);
+
+  const sockets = [];
+  for (const [chair, name] of ['Ann', 'Bob'].entries()) {
+    const socket = io.connect(`autopilot_${name}`, { userId: `guest_autopilot_${name}`, isGuest: true });
+    await socket.send('join_room', 'autopilot_rejoin', name);
+    await socket.send('sit_chair', 'autopilot_rejoin', chair);
+    sockets.push(socket);
+  }
+  const room = rooms.get('autopilot_rejoin');
+  Object.assign(room.settings, { turnDuration: 0, autopilot: true, autopilotGrace: 0 });
+  room.phase = 'playing';
+  room.gameStarted = true;
+  room.players[0].hand = ['3♠', '7♦'];
+  room.players[1].hand = ['5♥', 'Q♠'];
+  room.turn = sockets[1].id; // Ann isn't holding up the table
+
+  await sockets[0].disconnect();
+  t.mock.timers.tick(0);
+  const ann = room.players.find(p => p.name === 'Ann');
+  assert.equal(ann.autopilot, true);
+  assert.deepEqual(sockets[1].lastReceived('autopilot_update'), { playerId: 'autopilot_Ann', name: 'Ann', active: true });
+
+  const again = io.connect('autopilot_Ann_again', { userId: 'guest_autopilot_Ann', isGuest: true });
+  assert.equal((await again.send('join_room', 'autopilot_rejoin', 'Ann')).ok, true);
+  assert.equal(ann.autopilot, false);
+  assert.equal(ann.id, 'autopilot_Ann_again');
+  assert.deepEqual(sockets[1].lastReceived('autopilot_update'), { playerId: 'autopilot_Ann_again', name: 'Ann', active: false });
+});
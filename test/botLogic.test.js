@@ -0,0 +1,70 @@
+// Bots moving through the turn pipeline (botLogic.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { createRoom } from '../roomManager.js';
+import { validateCombination, canBeatCombination } from '../gameLogic.js';
+import { dealRoom } from '../dealing.js';
+import { playCards } from '../turnManager.js';
+import { takeBotTurn, cancelBotMove } from '../botLogic.js';
+import { getCurrentGameLog } from '../gameLog.js';
+
+// Ann led, and a hard bot is answering her lead
+function botToMove() {
+  const io = createFakeIo();
+  const room = createRoom('room_bot', 'Bots');
+  room.settings.turnDuration = 0;
+  room.settings.instantWins = [];
+  room.players.push({ id: 'ann', userId: 'user_ann', name: 'Ann', hand: [], connected: true, chair: 0, ready: true });
+  room.players.push({ id: 'bot', userId: null, name: 'Bot', hand: [], connected: true, chair: 1, ready: true, isBot: true, difficulty: 'hard' });
+  room.chairs = ['ann', 'bot', null, null];
+  room.previousWinner = 'ann';
+  room.phase = 'dealing';
+  room.gameStarted = true;
+  dealRoom(io, room);
+
+  const ann = room.players[0];
+  const bot = room.players[1];
+  assert.equal(playCards(io, room, ann, [ann.hand[0]]).ok, true);
+  cancelBotMove(bot); // The tests move the bot themselves
+  return { io, room, bot };
+}
+
+test('a bot answers the table it finds', async () => {
+  const { io, room, bot } = botToMove();
+  const table = room.currentCombination;
+  await takeBotTurn(io, room, bot);
+
+  // With two players a pass ends the round, so go by the log rather than the table
+  const move = getCurrentGameLog(room).events.findLast(event => event.type === 'play' || event.type === 'pass');
+  assert.equal(move.playerId, bot.id);
+  if (move.type === 'play') {
+    assert.ok(canBeatCombination(validateCombination(move.cards), table));
+  } else {
+    assert.equal(move.type, 'pass');
+  }
+  assert.equal(bot.moveSearch, null);
+});
+
+test('a cancelled search makes no move', async () => {
+  const { io, room, bot } = botToMove();
+  const turn = takeBotTurn(io, room, bot);
+  cancelBotMove(bot);
+  await turn;
+
+  assert.equal(room.turn, bot.id);
+  assert.equal(room.lastPlayer, 'ann');
+  assert.deepEqual(room.passes, []);
+});
+
+test('a bot thinks again when the table changes during its search', async () => {
+  const { io, room, bot } = botToMove();
+  const turn = takeBotTurn(io, room, bot);
+  room.currentCombination = validateCombination(['2♥']);
+  await turn;
+
+  assert.equal(room.turn, bot.id);
+  assert.deepEqual(room.passes, []);
+  assert.ok(bot.moveTimer); // Moving again after some thinking time
+  cancelBotMove(bot);
+});
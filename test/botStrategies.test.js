@@ -0,0 +1,77 @@
+// Bot move choice (botStrategies.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateDeck } from '../cardUtils.js';
+import { validateCombination, canBeatCombination } from '../gameLogic.js';
+import { chooseSearchMove, chooseSearchMoveInSteps, chooseLiveMove } from '../botStrategies.js';
+
+// The bot's view of a four player game it leads, the opponents hold 13 cards each
+function leadingView(hand) {
+  return {
+    playerId: 'bot',
+    hand,
+    currentCombination: null,
+    openingCard: null,
+    order: ['bot', 'a', 'b', 'c'],
+    handCounts: { bot: hand.length, a: 13, b: 13, c: 13 },
+    passes: [],
+    lastPlayer: null,
+    placements: [],
+    playedCards: [],
+    unseenCards: generateDeck().filter(card => !hand.includes(card))
+  };
+}
+
+const HAND = ['3♠', '4♦', '5♣', '7♥', '7♠', '9♦', 'J♣', 'Q♥', 'K♠', 'A♦', '2♣', '6♥', '10♠'];
+
+test('the search picks a legal move', () => {
+  const move = chooseSearchMove(leadingView(HAND), { timeBudgetMs: 50, maxSamples: 5 });
+  assert.ok(move.every(card => HAND.includes(card)));
+  assert.notEqual(validateCombination(move), null);
+});
+
+test('the stepped search lets other work run between samples', async () => {
+  let ticks = 0;
+  const interval = setInterval(() => ticks++, 0);
+  const move = await chooseSearchMoveInSteps(leadingView(HAND), { timeBudgetMs: 200, maxSamples: 1000 });
+  clearInterval(interval);
+
+  assert.ok(ticks > 1);
+  assert.notEqual(validateCombination(move), null);
+});
+
+test('the stepped search goes out when it can', async () => {
+  const view = { ...leadingView(['9♠']), currentCombination: validateCombination(['8♥']) };
+  assert.deepEqual(await chooseSearchMoveInSteps(view, { timeBudgetMs: 50, maxSamples: 5 }), ['9♠']);
+});
+
+test('the stepped search passes when nothing beats the table', async () => {
+  const view = { ...leadingView(HAND), currentCombination: validateCombination(['2♥']) };
+  assert.equal(await chooseSearchMoveInSteps(view, { timeBudgetMs: 50, maxSamples: 5 }), null);
+});
+
+test('a response from the stepped search beats the table', async () => {
+  // Playing the higher pair goes out, so it wins every sample and passing never does better
+  const table = validateCombination(['8♠', '8♥']);
+  const view = { ...leadingView(['9♠', '9♥']), currentCombination: table };
+  const move = await chooseSearchMoveInSteps(view, { timeBudgetMs: 50, maxSamples: 5 });
+  assert.deepEqual([...move].sort(), ['9♠', '9♥'].sort());
+  assert.ok(canBeatCombination(validateCombination(move), table));
+});
+
+test('an aborted search stops and rejects', async () => {
+  const controller = new AbortController();
+  const started = Date.now();
+  const search = chooseSearchMoveInSteps(leadingView(HAND), { timeBudgetMs: 5000, maxSamples: 1000, signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(search, { name: 'AbortError' });
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('live moves resolve for every difficulty', async () => {
+  for (const difficulty of ['easy', 'medium', 'hard']) {
+    const move = await chooseLiveMove(leadingView(HAND), difficulty);
+    assert.notEqual(validateCombination(move), null, difficulty);
+  }
+});
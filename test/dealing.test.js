@@ -0,0 +1,87 @@
+// Server-driven dealing and deal acks (dealing.js, gameHandlers.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { createLocalStorage } from '../storage.js';
+import { rooms, createRoom } from '../roomManager.js';
+import { setupGameHandlers } from '../gameHandlers.js';
+import { setupConnectionHandlers } from '../connectionHandlers.js';
+import { startGame } from '../roomPhases.js';
+
+// Ann and Bob seated and connected, a viewer watching, deals waiting on acks for up to 10s
+function ackTable(roomId) {
+  const io = createFakeIo();
+  const storage = createLocalStorage();
+  setupGameHandlers(io, storage);
+  setupConnectionHandlers(io, storage);
+
+  const room = createRoom(roomId, 'Dealing');
+  Object.assign(room.settings, { turnDuration: 0, instantWins: [], dealAckTimeout: 10 });
+  const sockets = ['ann', 'bob'].map((name, chair) => {
+    const socket = io.connect(`${roomId}_${name}`);
+    room.players.push({ id: socket.id, name, hand: [], connected: true, chair, ready: true });
+    room.chairs[chair] = socket.id;
+    return socket;
+  });
+  room.viewers.push({ id: `${roomId}_viewer`, name: 'viewer', connected: true });
+  rooms.set(roomId, room);
+  return { io, room, sockets, viewer: io.connect(`${roomId}_viewer`) };
+}
+
+test('the deal goes out as soon as every seated player acks', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { io, room, sockets } = ackTable('deal_acks');
+  startGame(io, room);
+
+  const first = await sockets[0].send('deal_cards', 'deal_acks');
+  assert.equal(first.alreadyDealt, false);
+  assert.equal(first.dealDeadline, room.dealDeadline);
+  assert.equal(room.phase, 'dealing');
+
+  const second = await sockets[1].send('deal_cards', 'deal_acks');
+  assert.equal(second.alreadyDealt, true);
+  assert.equal(room.phase, 'playing');
+  assert.equal(room.dealTimer, null);
+
+  const late = await sockets[0].send('deal_cards', 'deal_acks');
+  assert.deepEqual(late, { ok: true, alreadyDealt: true });
+});
+
+test('a missing ack never holds the deal past the timeout', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { io, room, sockets } = ackTable('deal_timeout');
+  startGame(io, room);
+  await sockets[0].send('deal_cards', 'deal_timeout');
+
+  t.mock.timers.tick(9999);
+  assert.equal(room.phase, 'dealing');
+  t.mock.timers.tick(1);
+  assert.equal(room.phase, 'playing');
+  assert.ok(room.players.every(p => p.hand.length === 13));
+});
+
+test('viewers can not ack or trigger the deal', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { io, room, sockets, viewer } = ackTable('deal_viewer');
+  startGame(io, room);
+  await sockets[0].send('deal_cards', 'deal_viewer');
+
+  assert.equal((await viewer.send('deal_cards', 'deal_viewer')).code, 'FORBIDDEN');
+  assert.equal(room.phase, 'dealing');
+  assert.deepEqual(room.dealAcks, [sockets[0].id]);
+});
+
+test('a player who drops mid-deal is not waited for', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { io, room, sockets } = ackTable('deal_drop');
+  startGame(io, room);
+  await sockets[0].send('deal_cards', 'deal_drop');
+
+  await sockets[1].disconnect();
+  assert.equal(room.phase, 'playing');
+});
+
+test('dealing can not be asked for outside a game', async () => {
+  const { sockets } = ackTable('deal_waiting');
+  assert.equal((await sockets[0].send('deal_cards', 'deal_waiting')).code, 'WRONG_PHASE');
+});
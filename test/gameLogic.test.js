@@ -0,0 +1,150 @@
+// Combination detection, comparison and move generation (gameLogic.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateCombination,
+  canBeatCombination,
+  getValidMoves,
+  generateMoves,
+  hasBeatingMove,
+  isChop,
+  sortCards
+} from '../gameLogic.js';
+
+const combo = cards => validateCombination(cards);
+const beats = (cards, current) => canBeatCombination(combo(cards), current ? combo(current) : null);
+const sameMoves = (moves, expected) => {
+  const key = cards => sortCards(cards).join(' ');
+  assert.deepEqual(moves.map(key).sort(), expected.map(key).sort());
+};
+
+test('detects every combination type', () => {
+  assert.equal(combo(['7♦']).type, 'single');
+  assert.equal(combo(['7♦', '7♠']).type, 'pair');
+  assert.equal(combo(['7♦', '7♠', '7♥']).type, 'triple');
+  assert.equal(combo(['7♦', '7♠', '7♥', '7♣']).type, 'four_of_kind');
+  assert.equal(combo(['3♠', '4♦', '5♣']).type, 'straight');
+  assert.equal(combo(['9♠', '10♦', 'J♣', 'Q♥', 'K♠', 'A♦']).length, 6);
+  assert.equal(combo(['3♠', '3♦', '4♣', '4♥', '5♠', '5♦']).type, 'three_pairs');
+  assert.equal(combo(['3♠', '3♦', '4♣', '4♥', '5♠', '5♦', '6♣', '6♥']).type, 'four_pairs');
+});
+
+test('rejects cards that make no combination', () => {
+  assert.equal(combo([]), null);
+  assert.equal(combo(['7♦', '8♦']), null);
+  assert.equal(combo(['7♦', '7♠', '8♥']), null);
+  assert.equal(combo(['3♠', '4♦', '6♣']), null);
+  assert.equal(combo(['3♠', '3♦', '4♣', '4♥']), null); // Two consecutive pairs aren't a bomb
+  assert.equal(combo(['3♠', '3♦', '5♣', '5♥', '6♠', '6♦']), null);
+});
+
+test('straights and consecutive pairs never contain a 2', () => {
+  assert.equal(combo(['K♠', 'A♦', '2♣']), null);
+  assert.equal(combo(['A♠', '2♦', '3♣']), null);
+  assert.equal(combo(['Q♠', 'Q♦', 'K♣', 'K♥', 'A♠', 'A♦']).type, 'three_pairs');
+  assert.equal(combo(['K♠', 'K♦', 'A♣', 'A♥', '2♠', '2♦']), null);
+});
+
+test('compares by rank, then by suit of the highest card', () => {
+  assert.equal(beats(['8♠'], ['7♥']), true);
+  assert.equal(beats(['7♥'], ['7♦']), true);
+  assert.equal(beats(['7♦'], ['7♥']), false);
+  assert.equal(beats(['2♠'], ['A♥']), true);
+  assert.equal(beats(['9♠', '9♥'], ['9♣', '9♦']), true);
+  assert.equal(beats(['9♠', '9♣'], ['9♦', '9♥']), false);
+  assert.equal(beats(['4♠', '5♠', '6♥'], ['4♦', '5♦', '6♦']), true);
+  assert.equal(beats(['4♠', '5♠', '6♦'], ['4♦', '5♦', '6♥']), false);
+});
+
+test('only the same type can beat a combination', () => {
+  assert.equal(beats(['9♠', '9♥'], ['3♠']), false);
+  assert.equal(beats(['9♠'], ['3♠', '3♦']), false);
+  assert.equal(beats(['9♠', '9♥', '9♦'], ['3♠', '3♦']), false);
+  assert.equal(beats(['4♠'], null), true);
+});
+
+test('straights only beat straights of the same length', () => {
+  assert.equal(beats(['5♠', '6♠', '7♠', '8♠'], ['3♠', '4♠', '5♦']), false);
+  assert.equal(beats(['5♠', '6♠', '7♠'], ['3♠', '4♠', '5♦', '6♦']), false);
+  assert.equal(beats(['5♠', '6♠', '7♠', '8♠'], ['3♠', '4♠', '5♦', '6♦']), true);
+});
+
+test('bombs chop 2s and weaker bombs', () => {
+  const threePairs = ['3♠', '3♦', '4♣', '4♥', '5♠', '5♦'];
+  const fourOfKind = ['8♠', '8♣', '8♦', '8♥'];
+  const fourPairs = ['6♠', '6♦', '7♣', '7♥', '8♠', '8♦', '9♣', '9♥'];
+
+  assert.equal(beats(threePairs, ['2♥']), true);
+  assert.equal(beats(threePairs, ['2♠', '2♥']), false);
+  assert.equal(beats(fourOfKind, ['2♥']), true);
+  assert.equal(beats(fourOfKind, ['2♠', '2♥']), true);
+  assert.equal(beats(fourOfKind, threePairs), true);
+  assert.equal(beats(fourPairs, ['2♠', '2♥']), true);
+  assert.equal(beats(fourPairs, fourOfKind), true);
+  assert.equal(beats(threePairs, fourOfKind), false);
+  assert.equal(beats(fourOfKind, ['A♥']), false);
+  assert.equal(beats(['3♠', '3♣', '3♦', '3♥'], fourOfKind), false);
+  assert.equal(beats(['9♠', '9♣', '9♦', '9♥'], fourOfKind), true);
+});
+
+test('a higher bomb of the same type only chops a bomb that was itself a chop', () => {
+  const led = combo(['3♠', '3♦', '4♣', '4♥', '5♠', '5♦']);
+  const higher = combo(['6♠', '6♦', '7♣', '7♥', '8♠', '8♦']);
+  assert.equal(canBeatCombination(higher, led), true);
+  assert.equal(isChop(higher, led), false);
+  assert.equal(isChop(higher, led, true), true);
+  assert.equal(isChop(higher, combo(['2♥'])), true);
+  assert.equal(isChop(combo(['8♠', '8♣', '8♦', '8♥']), led), true);
+});
+
+test('generateMoves builds every combination from the hand', () => {
+  const hand = ['3♠', '3♦', '4♣', '5♥', '5♠'];
+  sameMoves([...generateMoves(hand)], [
+    ['3♠'], ['3♦'], ['4♣'], ['5♠'], ['5♥'],
+    ['3♠', '3♦'], ['5♠', '5♥'],
+    ['3♠', '4♣', '5♠'], ['3♠', '4♣', '5♥'], ['3♦', '4♣', '5♠'], ['3♦', '4♣', '5♥']
+  ]);
+});
+
+test('generateMoves limits types and straight length', () => {
+  const hand = ['3♠', '4♦', '5♣', '6♥', '9♠', '9♦', '9♣', '9♥'];
+  sameMoves([...generateMoves(hand, ['four_of_kind'])], [['9♠', '9♦', '9♣', '9♥']]);
+  sameMoves([...generateMoves(hand, ['straight'], 4)], [['3♠', '4♦', '5♣', '6♥']]);
+  assert.equal([...generateMoves(hand, ['triple'])].length, 4);
+});
+
+test('generateMoves finds consecutive pairs but never runs through 2', () => {
+  const hand = ['Q♠', 'Q♦', 'K♣', 'K♥', 'A♠', 'A♦', '2♣', '2♥'];
+  sameMoves([...generateMoves(hand, ['three_pairs'])], [['Q♠', 'Q♦', 'K♣', 'K♥', 'A♠', 'A♦']]);
+  assert.deepEqual([...generateMoves(hand, ['four_pairs'])], []);
+  assert.ok([...generateMoves(hand, ['straight'])].every(move => !move.some(card => card.startsWith('2'))));
+});
+
+test('every generated move is a valid combination', () => {
+  const hand = ['3♠', '3♦', '4♣', '4♥', '5♠', '5♦', '6♣', '6♥', '7♠', '9♦', '9♣', '9♥', '9♠'];
+  const moves = [...generateMoves(hand)];
+  assert.ok(moves.length > 0);
+  moves.forEach(move => assert.notEqual(combo(move), null, move.join(' ')));
+});
+
+test('getValidMoves returns only moves that beat the table', () => {
+  const hand = ['4♠', '7♦', '7♥', '2♠', 'J♣'];
+  sameMoves(getValidMoves(hand, combo(['7♣'])), [['7♦'], ['7♥'], ['J♣'], ['2♠']]);
+  sameMoves(getValidMoves(hand, combo(['7♠', '7♣'])), [['7♦', '7♥']]);
+  assert.deepEqual(getValidMoves(hand, combo(['2♥'])), []);
+});
+
+test('getValidMoves includes bombs that chop', () => {
+  const hand = ['5♠', '5♦', '6♣', '6♥', '7♠', '7♦', 'K♣'];
+  sameMoves(getValidMoves(hand, combo(['2♥'])), [['5♠', '5♦', '6♣', '6♥', '7♠', '7♦']]);
+});
+
+test('hasBeatingMove agrees with getValidMoves', () => {
+  const hand = ['4♠', '5♦', '6♥', '9♣', '9♥'];
+  assert.equal(hasBeatingMove(hand, null), true);
+  assert.equal(hasBeatingMove(hand, combo(['3♠', '4♦', '5♣'])), true);
+  assert.equal(hasBeatingMove(hand, combo(['8♠', '9♦', '10♣'])), false);
+  assert.equal(hasBeatingMove(hand, combo(['9♠', '9♦'])), true);
+  assert.equal(hasBeatingMove(hand, combo(['9♦', '9♥'])), false);
+  assert.equal(hasBeatingMove(hand, combo(['2♠'])), false);
+});
@@ -0,0 +1,82 @@
+// Legal-move hints for players (turnManager.js, playHandlers.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { rooms, createRoom } from '../roomManager.js';
+import { setupPlayHandlers } from '../playHandlers.js';
+import { getHints } from '../turnManager.js';
+import { validateCombination } from '../gameLogic.js';
+
+// Ann and Bob mid-game, with Ann to move
+function tableFor(roomId, annHand) {
+  const room = createRoom(roomId, 'Hints');
+  room.settings.turnDuration = 0;
+  [['ann', annHand], ['bob', ['K♠', 'K♥', 'A♦']]].forEach(([id, hand], chair) => {
+    room.players.push({ id, name: id, hand, connected: true, chair, ready: true });
+    room.chairs[chair] = id;
+  });
+  room.phase = 'playing';
+  room.gameStarted = true;
+  room.turn = 'ann';
+  return room;
+}
+
+test('the opening lead only suggests plays with the opening card, weakest first', () => {
+  const room = tableFor('hints_open', ['3♠', '3♥', '4♦', '5♣', '6♠']);
+  room.openingCard = '3♠';
+
+  assert.deepEqual(getHints(room, room.players[0]), {
+    single: [['3♠']],
+    pair: [['3♠', '3♥']],
+    straight: [['3♠', '4♦', '5♣'], ['3♠', '4♦', '5♣', '6♠']]
+  });
+});
+
+test('only plays that beat the table are suggested', () => {
+  const room = tableFor('hints_answer', ['3♠', '5♦', '5♣', '9♠', '9♥', '9♦', '9♣']);
+  room.currentCombination = validateCombination(['4♠', '4♣']);
+  const hints = getHints(room, room.players[0]);
+
+  assert.deepEqual(Object.keys(hints), ['pair']);
+  assert.deepEqual(hints.pair[0], ['5♣', '5♦']);
+  assert.equal(hints.pair.length, 7);
+});
+
+test('bombs that chop the table are suggested', () => {
+  const room = tableFor('hints_chop', ['3♠', '9♠', '9♥', '9♦', '9♣']);
+  room.currentCombination = validateCombination(['2♠']);
+
+  assert.deepEqual(getHints(room, room.players[0]).four_of_kind, [['9♠', '9♣', '9♦', '9♥']]);
+});
+
+test('out of turn, only chops the house rule allows are suggested', () => {
+  const room = tableFor('hints_out_of_turn', ['5♠', '5♥', '6♦', '6♣', '7♠', '7♥', '8♦', '8♣', 'J♠']);
+  room.turn = 'bob';
+  room.lastPlayer = 'bob';
+  room.currentCombination = validateCombination(['2♠']);
+
+  assert.deepEqual(getHints(room, room.players[0]), {});
+
+  room.settings.outOfTurnChop = true;
+  const hints = getHints(room, room.players[0]);
+  assert.deepEqual(Object.keys(hints), ['four_pairs']);
+});
+
+test('get_hints answers with the hints and whether passing is allowed', async () => {
+  const io = createFakeIo();
+  setupPlayHandlers(io, null);
+  const room = tableFor('hints_socket', ['3♠', '5♦', '5♣']);
+  room.currentCombination = validateCombination(['4♠', '4♣']);
+  rooms.set(room.id, room);
+
+  const ann = io.connect('ann');
+  const result = await ann.send('get_hints', 'hints_socket');
+  assert.equal(result.ok, true);
+  assert.equal(result.yourTurn, true);
+  assert.equal(result.canPass, true);
+  assert.deepEqual(result.hints, { pair: [['5♣', '5♦']] });
+  assert.deepEqual(ann.lastReceived('hints').hints, result.hints);
+
+  const viewer = io.connect('hints_viewer');
+  assert.equal((await viewer.send('get_hints', 'hints_socket')).code, 'FORBIDDEN');
+});
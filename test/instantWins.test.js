@@ -0,0 +1,84 @@
+// Instant-win hands checked at the deal (gameLogic.js, dealing.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { detectInstantWin } from '../gameLogic.js';
+import { createRoom } from '../roomManager.js';
+import { findInstantWinner, dealRoom } from '../dealing.js';
+import { getCurrentGameLog } from '../gameLog.js';
+
+const DRAGON = ['3♠', '4♥', '5♦', '6♣', '7♠', '8♥', '9♦', '10♣', 'J♠', 'Q♥', 'K♦', 'A♣', '2♠'];
+const FOUR_TWOS = ['2♠', '2♣', '2♦', '2♥', '3♠', '5♥', '7♦', '9♣', 'J♠', 'K♥', 'A♦', '4♣', '6♠'];
+const FIVE_RUN_OF_PAIRS = ['5♠', '5♥', '6♦', '6♣', '7♠', '7♥', '8♦', '8♣', '9♠', '9♥', '3♦', 'J♣', 'K♠'];
+const SIX_PAIRS = ['3♠', '3♥', '5♦', '5♣', '7♠', '7♥', '9♦', '9♣', 'J♠', 'J♥', 'K♦', 'K♣', 'A♠'];
+const NOTHING = ['3♠', '3♥', '5♦', '5♣', '7♠', '7♥', '9♦', '9♣', 'J♠', 'Q♥', 'K♦', 'A♣', '2♠'];
+
+// Seated players holding the given hands, in chair order
+function tableWith(roomId, hands) {
+  const room = createRoom(roomId, 'Instant wins');
+  room.settings.turnDuration = 0;
+  hands.forEach((hand, chair) => {
+    const id = `${roomId}_${chair}`;
+    room.players.push({ id, name: id, hand, connected: true, chair, ready: true });
+    room.chairs[chair] = id;
+  });
+  return room;
+}
+
+test('detects every instant-win pattern', () => {
+  assert.equal(detectInstantWin(DRAGON), 'dragon');
+  assert.equal(detectInstantWin(FOUR_TWOS), 'four_twos');
+  assert.equal(detectInstantWin(FIVE_RUN_OF_PAIRS), 'five_consecutive_pairs');
+  assert.equal(detectInstantWin(SIX_PAIRS), 'six_pairs');
+  assert.equal(detectInstantWin(NOTHING), null);
+});
+
+test('a run of pairs through the 2s is no instant win', () => {
+  const hand = ['Q♠', 'Q♥', 'K♦', 'K♣', 'A♠', 'A♥', '2♦', '2♣', '3♠', '5♥', '7♦', '9♣', 'J♠'];
+  assert.equal(detectInstantWin(hand, ['five_consecutive_pairs']), null);
+});
+
+test('only the patterns the room enables count', () => {
+  assert.equal(detectInstantWin(SIX_PAIRS, ['dragon', 'four_twos']), null);
+  assert.equal(detectInstantWin(DRAGON, []), null);
+});
+
+test('the first instant win clockwise from the lead wins', () => {
+  const room = tableWith('instant_order', [SIX_PAIRS, NOTHING, FOUR_TWOS]);
+  room.turn = room.players[1].id;
+
+  assert.deepEqual(findInstantWinner(room), { player: room.players[2], pattern: 'four_twos' });
+
+  room.settings.instantWins = [];
+  assert.equal(findInstantWinner(room), null);
+});
+
+test('an instant win at the deal ends the game with the pattern', () => {
+  const io = createFakeIo();
+  const room = tableWith('instant_deal', [[], [], [], []]);
+  room.phase = 'dealing';
+  room.gameStarted = true;
+  room.shuffleSeed = 'instant-win-68'; // Deals six pairs to the player in chair 1
+
+  dealRoom(io, room);
+
+  const gameOver = getCurrentGameLog(room).events.at(-1);
+  assert.equal(room.phase, 'finished');
+  assert.equal(gameOver.type, 'game_over');
+  assert.equal(gameOver.reason, 'instant_win');
+  assert.equal(gameOver.pattern, 'six_pairs');
+  assert.equal(gameOver.placements[0], 'instant_deal_1');
+  assert.equal(gameOver.placements.length, 4);
+});
+
+test('the same deal is played out when the pattern is turned off', () => {
+  const io = createFakeIo();
+  const room = tableWith('instant_off', [[], [], [], []]);
+  room.settings.instantWins = ['dragon'];
+  room.phase = 'dealing';
+  room.gameStarted = true;
+  room.shuffleSeed = 'instant-win-68';
+
+  dealRoom(io, room);
+  assert.equal(room.phase, 'playing');
+});
@@ -0,0 +1,83 @@
+// Who leads a game, the opening card and holding the lead (dealing.js, turnManager.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { createRoom } from '../roomManager.js';
+import { setupOpeningTurn } from '../dealing.js';
+import { playCards, passTurn, takeAutomaticTurn } from '../turnManager.js';
+
+// Seated players holding the given hands, in chair order
+function tableWith(roomId, hands) {
+  const room = createRoom(roomId, 'Opening');
+  room.settings.turnDuration = 0;
+  Object.entries(hands).forEach(([id, hand], chair) => {
+    room.players.push({ id, name: id, hand, connected: true, chair, ready: true });
+    room.chairs[chair] = id;
+  });
+  return room;
+}
+
+// A table mid-deal: the opening turn is set and play can start
+function dealtTable(roomId, hands) {
+  const room = tableWith(roomId, hands);
+  room.phase = 'playing';
+  room.gameStarted = true;
+  setupOpeningTurn(room);
+  return room;
+}
+
+test('the holder of 3♠ leads the first game', () => {
+  const room = tableWith('opening_first', { ann: ['5♥', '9♣'], bob: ['4♦', '3♠'], cat: ['3♥', 'K♠'] });
+  setupOpeningTurn(room);
+
+  assert.equal(room.turn, 'bob');
+  assert.equal(room.openingCard, '3♠');
+});
+
+test('without 3♠ dealt, the lowest dealt card leads', () => {
+  const room = tableWith('opening_fallback', { ann: ['5♥', '9♣'], bob: ['4♦', 'Q♠'], cat: ['3♥', 'K♠'] });
+  setupOpeningTurn(room);
+
+  assert.equal(room.turn, 'cat');
+  assert.equal(room.openingCard, '3♥');
+});
+
+test('the previous winner leads the next game without an opening card', () => {
+  const room = tableWith('opening_winner', { ann: ['5♥', '9♣'], bob: ['4♦', '3♠'] });
+  room.previousWinner = 'ann';
+  setupOpeningTurn(room);
+
+  assert.equal(room.turn, 'ann');
+  assert.equal(room.openingCard, null);
+});
+
+test('the opening play must include the opening card', () => {
+  const io = createFakeIo();
+  const room = dealtTable('opening_play', { ann: ['3♠', '7♦', '9♣'], bob: ['4♦', 'Q♠', 'K♠'] });
+  const ann = room.players[0];
+
+  assert.equal(playCards(io, room, ann, ['7♦']).code, 'MUST_INCLUDE_OPENING_CARD');
+  assert.equal(playCards(io, room, ann, ['3♠']).ok, true);
+  assert.equal(room.openingCard, null);
+  assert.equal(room.turn, 'bob');
+});
+
+test('whoever holds the lead can not pass', () => {
+  const io = createFakeIo();
+  const room = dealtTable('opening_pass', { ann: ['3♠', '7♦', '9♣'], bob: ['4♦', 'Q♠', 'K♠'] });
+
+  const result = passTurn(io, room, 'ann');
+  assert.equal(result.code, 'MUST_LEAD');
+  assert.deepEqual(result.details, { openingCard: '3♠' });
+  assert.equal(room.turn, 'ann');
+  assert.deepEqual(room.passes, []);
+});
+
+test('an automatic turn on the lead plays the lowest card instead of passing', () => {
+  const io = createFakeIo();
+  const room = dealtTable('opening_auto', { ann: ['9♣', '3♠', '7♦'], bob: ['4♦', 'Q♠', 'K♠'] });
+
+  assert.equal(takeAutomaticTurn(io, room, 'ann').ok, true);
+  assert.deepEqual(room.pile, ['3♠']);
+  assert.equal(room.turn, 'bob');
+});
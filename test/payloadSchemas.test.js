@@ -0,0 +1,63 @@
+// Declared payload schemas for client commands (payloadSchemas.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { COMMAND_SCHEMAS, validatePayload } from '../payloadSchemas.js';
+
+const HANDLER_MODULES = ['roomHandlers.js', 'gameHandlers.js', 'playHandlers.js', 'botHandlers.js', 'replayHandlers.js'];
+
+test('well-formed arguments come back sanitized', () => {
+  assert.deepEqual(validatePayload('join_room', [' lobby ', 'Ann\u0007 ']), { args: ['lobby', 'Ann'] });
+  assert.deepEqual(validatePayload('sit_chair', ['lobby', 3]), { args: ['lobby', 3] });
+});
+
+test('optional arguments that are left out stay undefined', () => {
+  assert.deepEqual(validatePayload('join_room', ['lobby']), { args: ['lobby', undefined] });
+  assert.deepEqual(validatePayload('join_room', ['lobby', '   ']), { args: ['lobby', undefined] });
+  assert.deepEqual(validatePayload('add_bot', ['lobby']), { args: ['lobby', undefined, undefined] });
+});
+
+test('every wrong argument is reported', () => {
+  assert.deepEqual(validatePayload('sit_chair', [42, 4]), {
+    errors: ['roomId must be a string', 'chairIndex must be between 0 and 3']
+  });
+  assert.deepEqual(validatePayload('sit_chair', ['lobby', 1.5]).errors, ['chairIndex must be an integer']);
+  assert.deepEqual(validatePayload('stand_up', []).errors, ['roomId is required']);
+});
+
+test('strings are held to their length and format', () => {
+  assert.deepEqual(validatePayload('join_room', ['lobby', 'x'.repeat(25)]).errors, ['name must be at most 24 characters']);
+  assert.deepEqual(validatePayload('resume_session', ['lobby', 'not a token!']).errors, ['sessionToken has an invalid format']);
+});
+
+test('plays need distinct, well-formed cards', () => {
+  const play = cards => validatePayload('play_cards', [{ roomId: 'lobby', cards }]);
+
+  assert.deepEqual(play(['3♠', '3♥']), { args: [{ roomId: 'lobby', cards: ['3♠', '3♥'] }] });
+  assert.deepEqual(play(['3♠', '3♠']).errors, ['payload cards contains 3♠ more than once']);
+  assert.deepEqual(play(['3♠', '1♥']).errors, ['payload cards contains an invalid card: 1♥']);
+  assert.deepEqual(play([]).errors, ['payload cards must hold 1 to 13 cards']);
+  assert.deepEqual(play('3♠').errors, ['payload cards must be an array of cards']);
+  assert.deepEqual(validatePayload('play_cards', ['lobby']).errors, ['payload must be an object']);
+});
+
+test('choices, numbers and setting changes are checked', () => {
+  assert.deepEqual(validatePayload('add_bot', ['lobby', 0, 'genius']).errors, ['difficulty must be one of easy, medium, hard']);
+  assert.deepEqual(validatePayload('replay_game', ['lobby', 'game', 64]).errors, ['speed must be between 0.25 and 16']);
+  assert.deepEqual(validatePayload('update_room_settings', ['lobby', []]).errors, ['changes must be an object']);
+  assert.deepEqual(validatePayload('update_room_settings', ['lobby', {}]).errors, ['changes must hold 1 to 20 settings']);
+});
+
+test('commands without a declared schema are refused', () => {
+  assert.deepEqual(validatePayload('drop_tables', []), { errors: ['no schema declared for drop_tables'] });
+});
+
+test('every command a handler registers has a schema', () => {
+  const commands = HANDLER_MODULES.flatMap(file => {
+    const source = readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+    return [...source.matchAll(/onCommand\(socket, "(\w+)"/g)].map(match => match[1]);
+  });
+
+  assert.ok(commands.length > 0);
+  assert.deepEqual(commands.filter(command => !COMMAND_SCHEMAS[command]), []);
+});
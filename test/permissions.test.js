@@ -0,0 +1,80 @@
+// Roles and command permissions (permissions.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRoles, checkPermission, assignHost } from '../permissions.js';
+import { createRoom } from '../roomManager.js';
+
+// Ann hosts from chair 0, Bob sits in chair 1, Vic watches and a bot holds chair 2
+function room() {
+  const room = createRoom('room_perm', 'Permissions');
+  room.players.push(
+    { id: 'ann', userId: 'user_ann', name: 'Ann', chair: 0 },
+    { id: 'bob', userId: 'user_bob', name: 'Bob', chair: 1 },
+    { id: 'bot', userId: null, name: 'Bot', chair: 2, isBot: true }
+  );
+  room.viewers.push({ id: 'vic', userId: 'user_vic', name: 'Vic' });
+  room.hostUserId = 'user_ann';
+  return room;
+}
+
+const socket = (id, data = {}) => ({ id, data });
+
+test('roles follow the seat, the host and the admin flag', () => {
+  const r = room();
+  assert.deepEqual(getRoles(r, socket('ann')), ['player', 'host']);
+  assert.deepEqual(getRoles(r, socket('bob')), ['player']);
+  assert.deepEqual(getRoles(r, socket('vic')), ['viewer']);
+  assert.deepEqual(getRoles(r, socket('lurker')), []);
+  assert.deepEqual(getRoles(r, socket('lurker', { isAdmin: true })), ['admin']);
+});
+
+test('only the host or an admin can start or restart a game', () => {
+  const r = room();
+  for (const command of ['start_game', 'restart_game']) {
+    assert.equal(checkPermission(r, socket('ann'), command), null);
+    assert.equal(checkPermission(r, socket('lurker', { isAdmin: true }), command), null);
+    assert.equal(checkPermission(r, socket('bob'), command).code, 'FORBIDDEN');
+    assert.equal(checkPermission(r, socket('vic'), command).code, 'FORBIDDEN');
+    assert.equal(checkPermission(r, socket('lurker'), command).code, 'FORBIDDEN');
+  }
+});
+
+test('game commands need a seat', () => {
+  const r = room();
+  for (const command of ['play_cards', 'pass', 'deal_cards', 'toggle_ready']) {
+    assert.equal(checkPermission(r, socket('bob'), command), null);
+    assert.equal(checkPermission(r, socket('vic'), command).code, 'FORBIDDEN');
+    assert.equal(checkPermission(r, socket('lurker'), command).code, 'FORBIDDEN');
+  }
+  assert.equal(checkPermission(r, socket('vic'), 'sit_chair'), null);
+});
+
+test('room settings are for the host and admins', () => {
+  const r = room();
+  assert.equal(checkPermission(r, socket('ann'), 'update_room_settings'), null);
+  assert.equal(checkPermission(r, socket('bob'), 'update_room_settings').details.roles[0], 'player');
+});
+
+test('commands without declared roles are open', () => {
+  assert.equal(checkPermission(room(), socket('lurker'), 'list_games'), null);
+});
+
+test('the host keeps the room until they leave, then the next person gets it', () => {
+  const r = room();
+  assert.equal(assignHost(r), 'user_ann');
+
+  r.players.shift();
+  assert.equal(assignHost(r), 'user_bob'); // Seated members first
+
+  r.players = r.players.filter(p => p.isBot);
+  assert.equal(assignHost(r), 'user_vic'); // Never a bot
+
+  r.viewers = [];
+  assert.equal(assignHost(r), null);
+});
+
+test('members without a user id never host', () => {
+  const r = createRoom('room_guests', 'Guests');
+  r.players.push({ id: 'anon', userId: null, name: 'Anon', chair: 0 });
+  assert.equal(assignHost(r), null);
+});
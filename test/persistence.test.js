@@ -0,0 +1,106 @@
+// Saving a room and restoring it from storage (databaseHelpers.js, roomManager.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { createLocalStorage } from '../storage.js';
+import { createRoom, restoreRoomFromDB } from '../roomManager.js';
+import { saveRoomToDB, loadRoomFromDB } from '../databaseHelpers.js';
+import { dealRoom } from '../dealing.js';
+import { playCards } from '../turnManager.js';
+
+// A two player game where the opening play has been made
+function playedRoom(roomId) {
+  const io = createFakeIo();
+  const room = createRoom(roomId, 'Saved');
+  room.settings.turnDuration = 0;
+  room.settings.instantWins = [];
+  ['ann', 'bob'].forEach((id, chair) => {
+    room.players.push({ id, userId: `user_${id}`, name: id, hand: [], connected: true, chair, ready: true });
+    room.chairs[chair] = id;
+  });
+  room.phase = 'dealing';
+  room.gameStarted = true;
+  dealRoom(io, room);
+
+  const leader = room.players.find(p => p.id === room.turn);
+  assert.equal(playCards(io, room, leader, [room.openingCard]).ok, true);
+  leader.timeBank = 17;
+  return { room, leader };
+}
+
+async function roundTrip(room) {
+  const storage = createLocalStorage();
+  await saveRoomToDB(room, storage);
+  return restoreRoomFromDB(await loadRoomFromDB(room.id, storage));
+}
+
+test('a game in progress survives a save and restore', async () => {
+  const { room, leader } = playedRoom('room_saved');
+  const restored = await roundTrip(room);
+
+  assert.equal(restored.phase, 'playing');
+  assert.equal(restored.gameStarted, true);
+  assert.deepEqual(restored.chairs, room.chairs);
+  assert.equal(restored.turn, room.turn);
+  assert.equal(restored.lastPlayer, leader.id);
+  assert.deepEqual(restored.currentCombination, room.currentCombination);
+  assert.deepEqual(restored.playedCards, room.playedCards);
+  assert.deepEqual(restored.settings, room.settings);
+  assert.equal(restored.gameLogs.at(-1).events.length, room.gameLogs.at(-1).events.length);
+
+  room.players.forEach(player => {
+    const copy = restored.players.find(p => p.id === player.id);
+    assert.deepEqual(copy.hand, player.hand);
+    assert.equal(copy.chair, player.chair);
+    assert.equal(copy.connected, false); // Back once they rejoin or resume
+  });
+});
+
+test('cards played and time banks are restored', async () => {
+  const { room, leader } = playedRoom('room_banks');
+  const other = room.players.find(p => p !== leader);
+  const restored = await roundTrip(room);
+
+  const restoredLeader = restored.players.find(p => p.id === leader.id);
+  const restoredOther = restored.players.find(p => p.id === other.id);
+  assert.equal(restoredLeader.cardsPlayed, 1);
+  assert.equal(restoredLeader.timeBank, 17);
+  assert.equal(restoredOther.cardsPlayed, 0);
+  assert.equal(restoredOther.timeBank, room.settings.timeBank);
+});
+
+test('records saved without time banks restore a full bank', () => {
+  const restored = restoreRoomFromDB({
+    room_id: 'room_old',
+    players: [{ id: 'ann', name: 'Ann', hand: ['3♠'], chair: 0 }],
+    game_state: { phase: 'playing', settings: { timeBank: 45 } }
+  });
+  assert.equal(restored.players[0].timeBank, 45);
+  assert.equal(restored.players[0].cardsPlayed, 0);
+});
+
+test('saves of a room never overlap and the latest state is stored last', async () => {
+  const storage = createLocalStorage();
+  const upsertRoom = storage.upsertRoom.bind(storage);
+  let writing = 0;
+  const written = [];
+  storage.upsertRoom = async record => {
+    assert.equal(writing, 0);
+    writing++;
+    await new Promise(resolve => setTimeout(resolve, written.length === 0 ? 30 : 1)); // The first write is slow
+    written.push(record.game_state.round);
+    await upsertRoom(record);
+    writing--;
+  };
+
+  const room = createRoom('room_queue', 'Queue');
+  const saves = [];
+  for (let round = 1; round <= 5; round++) {
+    room.round = round;
+    saves.push(saveRoomToDB(room, storage));
+  }
+  await Promise.all(saves);
+
+  assert.deepEqual(written, [1, 5]); // Rounds 2 to 4 were folded into the save of round 5
+  assert.equal((await storage.getRoom('room_queue')).game_state.round, 5);
+});
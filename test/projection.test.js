@@ -0,0 +1,82 @@
+// Per-recipient room state (roomHelpers.js createCleanRoomData)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { createRoom } from '../roomManager.js';
+import { createCleanRoomData, emitRoomState } from '../roomHelpers.js';
+import { dealRoom } from '../dealing.js';
+
+// Ann and Bob are playing, Vic watches
+function playingRoom(spectatorView = 'counts') {
+  const room = createRoom('room_view', 'Projection');
+  room.settings.turnDuration = 0;
+  room.settings.instantWins = [];
+  room.settings.spectatorView = spectatorView;
+  room.players.push(
+    { id: 'ann', userId: 'user_ann', name: 'Ann', hand: [], connected: true, chair: 0, ready: true },
+    { id: 'bob', userId: 'user_bob', name: 'Bob', hand: [], connected: true, chair: 1, ready: true }
+  );
+  room.chairs = ['ann', 'bob', null, null];
+  room.viewers.push({ id: 'vic', userId: 'user_vic', name: 'Vic', connected: true });
+  room.phase = 'dealing';
+  room.gameStarted = true;
+  dealRoom(createFakeIo(), room);
+  return room;
+}
+
+// Ids of the players whose hand the recipient can see
+const visibleHands = (room, recipientId) =>
+  createCleanRoomData(room, recipientId).players.filter(p => p.hand).map(p => p.id);
+
+test('players see their own hand and card counts for everyone else', () => {
+  const room = playingRoom('full');
+  assert.deepEqual(visibleHands(room, 'ann'), ['ann']);
+  assert.deepEqual(visibleHands(room, 'bob'), ['bob']);
+
+  const bob = createCleanRoomData(room, 'ann').players.find(p => p.id === 'bob');
+  assert.equal(bob.handCount, 13);
+  assert.equal(bob.hand, undefined);
+});
+
+test('spectators see counts unless the room shows them every hand', () => {
+  assert.deepEqual(visibleHands(playingRoom('counts'), 'vic'), []);
+  assert.deepEqual(visibleHands(playingRoom('full'), 'vic'), ['ann', 'bob']);
+});
+
+test('sockets that are not in the room see no hands', () => {
+  assert.deepEqual(visibleHands(playingRoom('full'), 'lurker'), []);
+  assert.deepEqual(visibleHands(playingRoom('full'), null), []);
+});
+
+test('another socket of a player in the game sees no other hands', () => {
+  const room = playingRoom('full');
+  room.viewers.push({ id: 'ann_phone', userId: 'user_ann', name: 'Ann', connected: true });
+  assert.deepEqual(visibleHands(room, 'ann_phone'), []);
+});
+
+test('a player who went out and stood up sees no other hands', () => {
+  const room = playingRoom('full');
+  const ann = room.players.shift();
+  ann.hand = [];
+  room.placements = ['ann'];
+  room.chairs[0] = null;
+  room.viewers.push({ id: 'ann', userId: 'user_ann', name: 'Ann', connected: true });
+  assert.deepEqual(visibleHands(room, 'ann'), []);
+
+  // Coming back on a new socket doesn't help either
+  room.viewers.push({ id: 'ann_again', userId: 'user_ann', name: 'Ann', connected: true });
+  assert.deepEqual(visibleHands(room, 'ann_again'), []);
+});
+
+test('every socket in the room gets its own projection', () => {
+  const room = playingRoom('counts');
+  const io = createFakeIo();
+  const sockets = ['ann', 'bob', 'vic'].map(id => io.connect(id));
+  sockets.forEach(socket => socket.join(room.id));
+
+  emitRoomState(io, room, 'game_update');
+  const [ann, bob, vic] = sockets.map(socket => socket.lastReceived('game_update'));
+  assert.deepEqual(ann.players.filter(p => p.hand).map(p => p.id), ['ann']);
+  assert.deepEqual(bob.players.filter(p => p.hand).map(p => p.id), ['bob']);
+  assert.deepEqual(vic.players.filter(p => p.hand).map(p => p.id), []);
+});
@@ -0,0 +1,71 @@
+// Playing finished games back (replays.js, gameLog.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getReplayFrame, playReplay } from '../replays.js';
+
+// A short two-player game, one second between events
+function shortGame() {
+  const events = [
+    { type: 'deal', order: ['ann', 'bob'], hands: { ann: ['3♠', '5♥'], bob: ['4♠', '6♥'] }, turn: 'ann', openingCard: '3♠' },
+    { type: 'play', playerId: 'ann', cards: ['3♠'] },
+    { type: 'play', playerId: 'bob', cards: ['6♥'] },
+    { type: 'pass', playerId: 'ann' },
+    { type: 'play', playerId: 'bob', cards: ['4♠'] },
+    { type: 'game_over', placements: ['bob', 'ann'] }
+  ].map((event, index) => ({ seq: index + 1, timestamp: index * 1000, ...event }));
+  return { gameId: 'short_game', events };
+}
+
+// Node 20's mock clock doesn't run timers scheduled during a tick, so move it in steps
+function advance(t, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 25) t.mock.timers.tick(25);
+}
+
+function collect() {
+  const sent = [];
+  const send = (event, payload) => sent.push({ event, payload });
+  return { sent, send, frames: () => sent.filter(s => s.event === 'replay_event').map(s => s.payload.frame) };
+}
+
+test('a playback sends the same frames as replaying the log up to each event', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const replay = shortGame();
+  const { sent, send, frames } = collect();
+
+  playReplay(replay, send, { speed: 2 });
+  advance(t, 10000);
+
+  assert.deepEqual(frames(), replay.events.map(event => getReplayFrame(replay, event.seq)));
+  assert.deepEqual(frames()[1].hands, { ann: ['5♥'], bob: ['4♠', '6♥'] });
+  assert.deepEqual(sent.at(-1), { event: 'replay_finished', payload: { gameId: 'short_game' } });
+});
+
+test('changing the speed mid-playback only speeds up what is left of the wait', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { send, frames } = collect();
+  const playback = playReplay(shortGame(), send);
+  assert.equal(frames().length, 1);
+
+  t.mock.timers.tick(500);
+  assert.equal(playback.setSpeed(4), 4);
+  t.mock.timers.tick(124);
+  assert.equal(frames().length, 1);
+  t.mock.timers.tick(1);
+  assert.equal(frames().length, 2);
+
+  // The next gap is waited at the new speed, out of range speeds are clamped
+  t.mock.timers.tick(250);
+  assert.equal(frames().length, 3);
+  assert.equal(playback.setSpeed(100), 16);
+});
+
+test('a playback that ended can no longer change speed or be stopped', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { sent, send } = collect();
+  const playback = playReplay(shortGame(), send, { speed: 16 });
+  advance(t, 10000);
+
+  assert.equal(playback.setSpeed(2), null);
+  assert.equal(playback.stop(), false);
+  assert.equal(sent.filter(s => s.event === 'replay_finished').length, 1);
+});
@@ -0,0 +1,123 @@
+// The room lifecycle state machine (roomPhases.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { createRoom } from '../roomManager.js';
+import { setPhase, checkPhase, startGame, startCountdown, cancelCountdown } from '../roomPhases.js';
+
+// Two ready players sitting at the table, between games
+function readyTable(roomId) {
+  const io = createFakeIo();
+  const room = createRoom(roomId, 'Phases');
+  room.settings.turnDuration = 0;
+  room.settings.instantWins = [];
+  ['ann', 'bob'].forEach((id, chair) => {
+    room.players.push({ id, name: id, hand: [], connected: true, chair, ready: true });
+    room.chairs[chair] = id;
+  });
+  const watcher = io.connect('phases_watcher');
+  watcher.join(roomId);
+  return { io, room, watcher };
+}
+
+test('the flags follow the phase', () => {
+  const room = createRoom('phases_flags', 'Phases');
+
+  assert.equal(setPhase(room, 'dealing'), true);
+  assert.equal(room.gameStarted, true);
+  assert.equal(room.deckShuffled, true);
+
+  assert.equal(setPhase(room, 'playing'), true);
+  assert.equal(room.gameStarted, true);
+  assert.equal(room.deckShuffled, false);
+
+  assert.equal(setPhase(room, 'finished'), true);
+  assert.equal(room.gameStarted, false);
+});
+
+test('illegal phase changes are refused and change nothing', () => {
+  const room = createRoom('phases_illegal', 'Phases');
+
+  assert.equal(setPhase(room, 'playing'), false);
+  assert.equal(room.phase, 'waiting');
+  assert.equal(room.gameStarted, false);
+
+  setPhase(room, 'dealing');
+  setPhase(room, 'playing');
+  assert.equal(setPhase(room, 'countdown'), false);
+  assert.equal(room.phase, 'playing');
+  assert.equal(setPhase(room, 'playing'), true); // Staying put is always fine
+});
+
+test('commands are only allowed in their phases', () => {
+  const room = createRoom('phases_commands', 'Phases');
+
+  assert.equal(checkPhase(room, 'toggle_ready'), null);
+  assert.deepEqual(checkPhase(room, 'play_cards').details, { phase: 'waiting', allowed: ['playing'] });
+
+  setPhase(room, 'dealing');
+  setPhase(room, 'playing');
+  assert.equal(checkPhase(room, 'play_cards'), null);
+  assert.equal(checkPhase(room, 'add_bot').code, 'WRONG_PHASE');
+  assert.equal(checkPhase(room, 'list_games'), null); // Not tied to a phase
+});
+
+test('the countdown counts down every second', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const { io, room, watcher } = readyTable('phases_countdown');
+
+  assert.equal(startCountdown(io, room), true);
+  assert.equal(startCountdown(io, room), false); // Already counting down
+  assert.equal(watcher.lastReceived('countdown_update'), 6);
+
+  for (let second = 1; second <= 5; second++) t.mock.timers.tick(1000);
+  assert.equal(room.phase, 'countdown');
+  assert.equal(watcher.lastReceived('countdown_update'), 1);
+  cancelCountdown(io, room);
+});
+
+test('a started game commits to the deal and deals after the deal delay', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { io, room, watcher } = readyTable('phases_deal');
+
+  assert.equal(startGame(io, room), true);
+  assert.equal(room.phase, 'dealing');
+  assert.ok(room.seedCommitment);
+  assert.ok(watcher.lastReceived('game_started'));
+
+  t.mock.timers.tick(room.settings.dealDelay * 1000 - 1);
+  assert.equal(room.phase, 'dealing');
+  t.mock.timers.tick(1);
+  assert.equal(room.phase, 'playing');
+  assert.ok(room.players.every(p => p.hand.length === 13));
+});
+
+test('a cancelled countdown goes back to waiting', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const { io, room, watcher } = readyTable('phases_cancel');
+
+  startCountdown(io, room);
+  cancelCountdown(io, room);
+  assert.equal(room.phase, 'waiting');
+  assert.equal(watcher.lastReceived('countdown_update'), null);
+
+  t.mock.timers.tick(10000);
+  assert.equal(room.phase, 'waiting');
+});
+
+test('a new game after a finished one starts from a clean table', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { io, room } = readyTable('phases_restart');
+  setPhase(room, 'dealing');
+  setPhase(room, 'playing');
+  room.players[0].hand = ['3♠'];
+  room.placements = ['bob'];
+  room.passes = ['ann'];
+  setPhase(room, 'finished');
+
+  assert.equal(startGame(io, room), true);
+  assert.equal(room.phase, 'dealing');
+  assert.deepEqual(room.players[0].hand, []);
+  assert.deepEqual(room.placements, []);
+  assert.deepEqual(room.passes, []);
+});
@@ -0,0 +1,43 @@
+// Room settings and their validators (roomManager.js updateRoomSettings)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoom, updateRoomSettings, DEFAULT_ROOM_SETTINGS } from '../roomManager.js';
+
+const accepts = (key, value) => updateRoomSettings(createRoom('room_settings', 'Settings'), { [key]: value }).includes(key);
+
+test('turn durations are off or long enough for bots to move', () => {
+  assert.equal(accepts('turnDuration', 0), true);
+  assert.equal(accepts('turnDuration', 5), true);
+  assert.equal(accepts('turnDuration', 300), true);
+  [1, 4, 301, -1, 2.5, '30', null].forEach(value => assert.equal(accepts('turnDuration', value), false, String(value)));
+});
+
+test('numeric settings stay within their ranges', () => {
+  assert.equal(accepts('timeBank', 0), true);
+  assert.equal(accepts('timeBank', 601), false);
+  assert.equal(accepts('autopilotGrace', 300), true);
+  assert.equal(accepts('autopilotGrace', -1), false);
+  assert.equal(accepts('dealDelay', 30), true);
+  assert.equal(accepts('dealDelay', 31), false);
+  assert.equal(accepts('dealAckTimeout', 60), true);
+  assert.equal(accepts('dealAckTimeout', 1.5), false);
+});
+
+test('choice settings only take their known values', () => {
+  assert.equal(accepts('spectatorView', 'full'), true);
+  assert.equal(accepts('spectatorView', 'all'), false);
+  assert.equal(accepts('instantWins', []), true);
+  assert.equal(accepts('instantWins', ['not_a_pattern']), false);
+  assert.equal(accepts('outOfTurnChop', true), true);
+  assert.equal(accepts('autopilot', 'yes'), false);
+});
+
+test('only valid, known settings are applied', () => {
+  const room = createRoom('room_settings', 'Settings');
+  const applied = updateRoomSettings(room, { turnDuration: 3, timeBank: 90, mystery: 1 });
+  assert.deepEqual(applied, ['timeBank']);
+  assert.equal(room.settings.turnDuration, DEFAULT_ROOM_SETTINGS.turnDuration);
+  assert.equal(room.settings.timeBank, 90);
+  assert.equal(room.settings.mystery, undefined);
+  assert.deepEqual(updateRoomSettings(room, null), []);
+});
@@ -0,0 +1,86 @@
+// End-of-game penalties and score sheets (scoring.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBombs, scoreHand, computeScoreSheet } from '../scoring.js';
+import { RANK_ORDER } from '../gameLogic.js';
+
+const bombTypes = hand => findBombs(hand).map(bomb => bomb.type);
+
+test('finds four of a kind and runs of pairs', () => {
+  assert.deepEqual(findBombs(['9♠', '9♦', '9♣', '9♥', '3♠']), [{ type: 'four_of_kind', rankValue: RANK_ORDER['9'] }]);
+  assert.deepEqual(bombTypes(['3♠', '3♦', '4♠', '4♦', '5♠', '5♦']), ['three_pairs']);
+  assert.deepEqual(bombTypes(['3♠', '3♦', '4♠', '4♦', '5♠', '5♦', '6♠', '6♦']), ['four_pairs']);
+  assert.deepEqual(bombTypes(['3♠', '3♦', '4♠', '4♦', '6♠', '6♦']), []);
+  assert.deepEqual(bombTypes(['K♠', 'K♦', 'A♠', 'A♦', '2♠', '2♦']), []); // No runs through 2
+});
+
+test('a four of a kind inside a run of pairs is only counted once', () => {
+  const hand = ['5♠', '5♦', '6♠', '6♦', '6♣', '6♥', '7♠', '7♦', '8♠', '8♦'];
+  assert.deepEqual(bombTypes(hand), ['four_pairs']);
+  assert.equal(scoreHand(hand).penalties.bombs, 12);
+
+  // Without an overlap both count
+  const apart = ['3♠', '3♦', '4♠', '4♦', '5♠', '5♦', '7♠', '7♦', '7♣', '7♥'];
+  assert.deepEqual(bombTypes(apart), ['three_pairs', 'four_of_kind']);
+  assert.equal(scoreHand(apart).penalties.bombs, 15);
+});
+
+test('a long run of pairs is one bomb', () => {
+  const hand = ['3♠', '3♦', '4♠', '4♦', '5♠', '5♦', '6♠', '6♦', '7♠', '7♦'];
+  assert.deepEqual(bombTypes(hand), ['four_pairs']);
+});
+
+test('four 2s are penalized as 2s only', () => {
+  const score = scoreHand(['2♠', '2♣', '2♦', '2♥']);
+  assert.deepEqual(score.bombsLeft, []);
+  assert.deepEqual(score.penalties, { cards: 4, twos: 18, bombs: 0, frozen: 0 });
+  assert.equal(score.penalty, 22);
+});
+
+test('scores cards left, 2s by suit and frozen players', () => {
+  assert.deepEqual(scoreHand(['2♠', '5♦', 'K♣']).penalties, { cards: 3, twos: 3, bombs: 0, frozen: 0 });
+  assert.deepEqual(scoreHand(['2♥']).penalties, { cards: 1, twos: 6, bombs: 0, frozen: 0 });
+  assert.equal(scoreHand(['3♠'], { frozen: true }).penalty, 27);
+});
+
+// Ann went out, Bob played a card, Cat never did
+function finishedRoom() {
+  return {
+    placements: ['ann', 'bob', 'cat'],
+    players: [
+      { id: 'ann', userId: 'user_ann', name: 'Ann', hand: [], cardsPlayed: 13 },
+      { id: 'bob', userId: 'user_bob', name: 'Bob', hand: ['4♠', '2♦'], cardsPlayed: 11 },
+      { id: 'cat', userId: 'user_cat', name: 'Cat', hand: ['3♠'], cardsPlayed: 0 }
+    ],
+    chops: [],
+    scoreSheets: []
+  };
+}
+
+test('the winner collects every penalty and players who never played are frozen', () => {
+  const sheet = computeScoreSheet(finishedRoom(), 'cards_played');
+  const [ann, bob, cat] = sheet.entries;
+
+  assert.equal(bob.penalty, 2 + 6);
+  assert.equal(cat.penalties.frozen, 26);
+  assert.equal(cat.penalty, 27);
+  assert.equal(ann.points, bob.penalty + cat.penalty);
+  assert.equal(bob.points, -bob.penalty);
+});
+
+test('nobody is frozen after an instant win', () => {
+  const sheet = computeScoreSheet(finishedRoom(), 'instant_win');
+  assert.equal(sheet.entries[2].penalties.frozen, 0);
+});
+
+test('chop penalties move from the chopped player to the chopper', () => {
+  const room = finishedRoom();
+  room.chops = [
+    { chopperId: 'cat', victimId: 'bob', penalty: 6, countered: true },
+    { chopperId: 'ann', victimId: 'cat', penalty: 9, countered: false }
+  ];
+  const [ann, bob, cat] = computeScoreSheet(room, 'cards_played').entries;
+  assert.equal(ann.chopPoints, 9);
+  assert.equal(bob.chopPoints, 0); // Countered, passed on down the chain
+  assert.equal(cat.chopPoints, -9);
+});
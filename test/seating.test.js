@@ -0,0 +1,84 @@
+// Chairs, clockwise turn order and dealing to seated players only (roomManager.js, cardUtils.js, turnManager.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { createLocalStorage } from '../storage.js';
+import { rooms, createRoom, restoreRoomFromDB, setDatabaseLoader } from '../roomManager.js';
+import { loadRoomFromDB } from '../databaseHelpers.js';
+import { setupRoomHandlers } from '../roomHandlers.js';
+import { dealCards } from '../cardUtils.js';
+import { getNextPlayerId } from '../turnManager.js';
+
+// Players listed out of chair order, plus a member who joined without sitting down
+function mixedRoom(roomId) {
+  const room = createRoom(roomId, 'Seating');
+  [['dan', 3], ['ann', 0], ['joe', null], ['cat', 2]].forEach(([id, chair]) => {
+    room.players.push({ id, name: id, hand: [], connected: true, chair, ready: true });
+    if (chair !== null) room.chairs[chair] = id;
+  });
+  return room;
+}
+
+test('only connected players sitting in a chair are dealt in', () => {
+  const room = mixedRoom('seating_deal');
+  room.players.find(p => p.id === 'cat').connected = false;
+  dealCards(room, 'seating-seed');
+
+  const handSizes = Object.fromEntries(room.players.map(p => [p.id, p.hand.length]));
+  assert.deepEqual(handSizes, { dan: 13, ann: 13, joe: 0, cat: 0 });
+});
+
+test('the same seed deals the same hands to the same chairs', () => {
+  const first = mixedRoom('seating_seed_a');
+  const second = mixedRoom('seating_seed_b');
+  second.players.reverse(); // Array order doesn't matter, chair order does
+  dealCards(first, 'seating-seed');
+  dealCards(second, 'seating-seed');
+
+  const handOf = (room, id) => room.players.find(p => p.id === id).hand;
+  ['ann', 'cat', 'dan'].forEach(id => assert.deepEqual(handOf(second, id), handOf(first, id)));
+});
+
+test('turns go clockwise by chair and skip players who passed or went out', () => {
+  const room = mixedRoom('seating_turns');
+  dealCards(room, 'seating-seed');
+
+  assert.equal(getNextPlayerId(room, 'ann'), 'cat');
+  assert.equal(getNextPlayerId(room, 'cat'), 'dan');
+  assert.equal(getNextPlayerId(room, 'dan'), 'ann');
+
+  room.passes = ['cat'];
+  assert.equal(getNextPlayerId(room, 'ann'), 'dan');
+  room.players.find(p => p.id === 'dan').hand = [];
+  assert.equal(getNextPlayerId(room, 'ann'), null);
+});
+
+test('restored chairs drop occupants who were not restored', () => {
+  const restored = restoreRoomFromDB({
+    room_id: 'seating_restore',
+    players: [{ id: 'ann', name: 'ann', chair: 0 }, { id: 'cat', name: 'cat', chair: 2 }],
+    game_state: { chairs: ['ann', 'gone', 'cat', null] }
+  });
+
+  assert.deepEqual(restored.chairs, ['ann', null, 'cat', null]);
+});
+
+test('a taken chair can not be sat in, and moving frees the old chair', async () => {
+  const storage = createLocalStorage();
+  await storage.insertRooms([{ room_id: 'seating_sit', room_name: 'Seating', players: [], viewers: [], game_started: false, game_state: {} }]);
+  setDatabaseLoader(id => loadRoomFromDB(id, storage));
+  const io = createFakeIo();
+  setupRoomHandlers(io, storage);
+
+  const ann = io.connect('seating_ann', { userId: 'guest_seating_ann', isGuest: true });
+  const bob = io.connect('seating_bob', { userId: 'guest_seating_bob', isGuest: true });
+  await ann.send('join_room', 'seating_sit', 'Ann');
+  await bob.send('join_room', 'seating_sit', 'Bob');
+  assert.equal((await ann.send('sit_chair', 'seating_sit', 1)).ok, true);
+
+  const taken = await bob.send('sit_chair', 'seating_sit', 1);
+  assert.equal(taken.code, 'CHAIR_OCCUPIED');
+
+  assert.equal((await ann.send('sit_chair', 'seating_sit', 3)).ok, true);
+  assert.deepEqual(rooms.get('seating_sit').chairs, [null, null, null, 'seating_ann']);
+});
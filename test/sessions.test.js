@@ -0,0 +1,110 @@
+// Resumable sessions across disconnects and the periodic cleanup (sessions.js, roomHandlers.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { createLocalStorage } from '../storage.js';
+import { rooms, removeDisconnectedMembers, setDatabaseLoader } from '../roomManager.js';
+import { loadRoomFromDB } from '../databaseHelpers.js';
+import { setupRoomHandlers } from '../roomHandlers.js';
+import { setupConnectionHandlers } from '../connectionHandlers.js';
+import { dealRoom } from '../dealing.js';
+
+// Two seated players in a room with the turn timer off
+async function setupTable(roomId) {
+  const storage = createLocalStorage();
+  await storage.insertRooms([{ room_id: roomId, room_name: roomId, players: [], viewers: [], game_started: false, game_state: {} }]);
+  setDatabaseLoader(id => loadRoomFromDB(id, storage));
+
+  const io = createFakeIo();
+  setupRoomHandlers(io, storage);
+  setupConnectionHandlers(io, storage);
+
+  const sockets = [];
+  for (const [index, name] of ['Ann', 'Bob'].entries()) {
+    const socket = io.connect(`${roomId}_${name}`, { userId: `guest_${roomId}_${name}`, isGuest: true });
+    await socket.send('join_room', roomId, name);
+    await socket.send('sit_chair', roomId, index);
+    sockets.push(socket);
+  }
+
+  const room = rooms.get(roomId);
+  room.settings.turnDuration = 0;
+  room.settings.instantWins = [];
+  return { io, room, sockets };
+}
+
+function startGame(io, room) {
+  room.phase = 'dealing';
+  room.gameStarted = true;
+  dealRoom(io, room);
+}
+
+// Disconnect whoever doesn't hold the turn, as if they went offline a minute ago
+async function dropWaitingPlayer(room, sockets) {
+  const socket = sockets.find(s => s.id !== room.turn);
+  const sessionToken = socket.lastReceived('room_joined').sessionToken;
+  await socket.disconnect();
+
+  const player = room.players.find(p => p.id === socket.id);
+  player.disconnectedAt = Date.now() - 60000;
+  return { player, sessionToken };
+}
+
+test('a player in the game keeps their seat through cleanup and can resume', async () => {
+  const { io, room, sockets } = await setupTable('room_resume');
+  startGame(io, room);
+  const { player, sessionToken } = await dropWaitingPlayer(room, sockets);
+  const { chair, hand } = player;
+
+  assert.deepEqual(removeDisconnectedMembers(room), []);
+
+  const socket = io.connect('room_resume_Ann_again');
+  const result = await socket.send('resume_session', 'room_resume', sessionToken);
+  assert.equal(result.ok, true);
+  assert.equal(room.chairs[chair], 'room_resume_Ann_again');
+  assert.deepEqual(player.hand, hand);
+  assert.equal(player.connected, true);
+});
+
+test('cleanup drops a disconnected player once the game is over', async () => {
+  const { io, room, sockets } = await setupTable('room_cleanup');
+  startGame(io, room);
+  const { player, sessionToken } = await dropWaitingPlayer(room, sockets);
+
+  room.gameStarted = false;
+  room.phase = 'finished';
+  assert.deepEqual(removeDisconnectedMembers(room), [player.id]);
+  assert.equal(room.chairs[player.chair], null);
+
+  const socket = io.connect('room_cleanup_late');
+  const result = await socket.send('resume_session', 'room_cleanup', sessionToken);
+  assert.equal(result.code, 'INVALID_SESSION');
+});
+
+test('cleanup drops a disconnected player who was never dealt in', async () => {
+  const { room, sockets } = await setupTable('room_waiting');
+  await sockets[1].disconnect();
+  room.players.find(p => p.id === sockets[1].id).disconnectedAt = Date.now() - 60000;
+
+  assert.deepEqual(removeDisconnectedMembers(room), [sockets[1].id]);
+  assert.equal(room.chairs[1], null);
+});
+
+test('a player who stood up resumes their place among the viewers', async () => {
+  const { io, room, sockets } = await setupTable('room_viewer');
+  const sessionToken = sockets[1].lastReceived('room_joined').sessionToken;
+  assert.equal((await sockets[1].send('stand_up', 'room_viewer')).ok, true);
+  await sockets[1].disconnect();
+
+  const socket = io.connect('room_viewer_Bob_again');
+  const result = await socket.send('resume_session', 'room_viewer', sessionToken);
+  assert.equal(result.ok, true);
+  assert.equal(room.viewers.length, 1);
+  assert.equal(room.viewers[0].id, 'room_viewer_Bob_again');
+  assert.equal(room.viewers[0].connected, true);
+  assert.equal(room.players.some(p => p.name === 'Bob'), false);
+
+  // Tokens are single use
+  const replay = await io.connect('room_viewer_Bob_replay').send('resume_session', 'room_viewer', sessionToken);
+  assert.equal(replay.code, 'INVALID_SESSION');
+});
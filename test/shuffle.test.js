@@ -0,0 +1,78 @@
+// Seeded deals and the commit-reveal fairness proof (cardUtils.js, dealing.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeIo } from './socketHarness.js';
+import { generateDeck, shuffleDeck, dealCards, commitToSeed, prepareShuffle } from '../cardUtils.js';
+import { createRoom } from '../roomManager.js';
+import { saveRoomToDB } from '../databaseHelpers.js';
+import { createLocalStorage } from '../storage.js';
+import { dealRoom } from '../dealing.js';
+import { endGame } from '../turnManager.js';
+import { getCurrentGameLog } from '../gameLog.js';
+
+function seatedRoom(roomId) {
+  const room = createRoom(roomId, 'Shuffle');
+  room.settings.turnDuration = 0;
+  room.settings.instantWins = [];
+  ['ann', 'bob', 'cat', 'dan'].forEach((id, chair) => {
+    room.players.push({ id, userId: null, name: id, hand: [], connected: true, chair, ready: true });
+    room.chairs[chair] = id;
+  });
+  return room;
+}
+
+const handsOf = room => room.players.map(p => p.hand);
+
+test('a fixed seed always shuffles the deck the same way', () => {
+  const first = shuffleDeck(generateDeck(), 'fixed-seed');
+  assert.deepEqual(shuffleDeck(generateDeck(), 'fixed-seed'), first);
+  assert.notDeepEqual(shuffleDeck(generateDeck(), 'other-seed'), first);
+  assert.deepEqual([...first].sort(), generateDeck().sort());
+});
+
+test('a fixed seed always deals the same hands', () => {
+  const room = seatedRoom('room_fixed');
+  const other = seatedRoom('room_fixed_again');
+  dealCards(room, 'fixed-seed');
+  dealCards(other, 'fixed-seed');
+
+  assert.deepEqual(handsOf(room), handsOf(other));
+  room.players.forEach(p => assert.equal(p.hand.length, 13));
+});
+
+test('the seed revealed at game over matches the commitment and the deal', () => {
+  const io = createFakeIo();
+  const room = seatedRoom('room_reveal');
+  const commitment = prepareShuffle(room);
+  room.phase = 'dealing';
+  room.gameStarted = true;
+  dealRoom(io, room);
+  const dealt = handsOf(room).map(hand => [...hand]);
+
+  room.placements = room.players.map(p => p.id);
+  endGame(io, room);
+  const { seed } = room.revealedShuffle;
+  assert.equal(room.revealedShuffle.commitment, commitment);
+  assert.equal(commitToSeed(seed), commitment);
+  assert.equal(getCurrentGameLog(room).events.at(-1).seed, seed);
+
+  const replayed = seatedRoom('room_reveal_check');
+  dealCards(replayed, seed);
+  assert.deepEqual(handsOf(replayed), dealt);
+});
+
+test('the seed stays out of storage and the log until game over', async () => {
+  const room = seatedRoom('room_secret');
+  prepareShuffle(room);
+  room.phase = 'dealing';
+  room.gameStarted = true;
+  dealRoom(createFakeIo(), room);
+  const seed = room.shuffleSeed;
+
+  const storage = createLocalStorage();
+  await saveRoomToDB(room, storage);
+  const record = await storage.getRoom('room_secret');
+  assert.equal(JSON.stringify(record).includes(seed), false);
+  assert.equal(record.game_state.seedCommitment, room.seedCommitment);
+  assert.equal(JSON.stringify(room.gameLogs).includes(seed), false);
+});
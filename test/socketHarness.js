@@ -0,0 +1,83 @@
+// Stand-in for the socket.io server, for driving the setupXHandlers(io, storage) modules
+// in tests. Sockets join rooms on a fake adapter so per-recipient emits reach them.
+
+function createFakeIo() {
+  const listeners = [];
+  const sockets = new Map();
+  const adapterRooms = new Map();
+
+  const io = {
+    sockets: { sockets, adapter: { rooms: adapterRooms } },
+    broadcasts: [],
+
+    on(event, listener) {
+      if (event === 'connection') listeners.push(listener);
+    },
+
+    emit(event, payload) {
+      io.broadcasts.push({ event, payload });
+    },
+
+    // A room name or a socket id
+    to(target) {
+      return {
+        emit(event, payload) {
+          const socket = sockets.get(target);
+          if (socket) {
+            socket.received.push({ event, payload });
+            return;
+          }
+          (adapterRooms.get(target) || new Set()).forEach(id => sockets.get(id)?.received.push({ event, payload }));
+        }
+      };
+    },
+
+    // Open a connection: every registered handler module sees the new socket
+    connect(id, data = {}) {
+      const handlers = {};
+      const socket = {
+        id,
+        data,
+        handshake: { auth: {} },
+        received: [],
+        on(event, handler) {
+          handlers[event] = handler;
+        },
+        emit(event, payload) {
+          socket.received.push({ event, payload });
+        },
+        join(roomId) {
+          if (!adapterRooms.has(roomId)) adapterRooms.set(roomId, new Set());
+          adapterRooms.get(roomId).add(id);
+        },
+        leave(roomId) {
+          adapterRooms.get(roomId)?.delete(id);
+        },
+
+        // Send a command and resolve with its acknowledgement
+        send(event, ...args) {
+          return new Promise(resolve => handlers[event](...args, resolve));
+        },
+
+        // Drop the connection the way socket.io does
+        async disconnect() {
+          adapterRooms.forEach(members => members.delete(id));
+          sockets.delete(id);
+          await handlers.disconnect?.();
+        },
+
+        lastReceived(event) {
+          return socket.received.filter(message => message.event === event).at(-1)?.payload;
+        }
+      };
+
+      sockets.set(id, socket);
+      listeners.forEach(listener => listener(socket));
+      return socket;
+    }
+  };
+
+  return io;
+}
+
+export { createFakeIo };
@@ -0,0 +1,87 @@
+// Storage backends (storage.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStorage, createSupabaseStorage, createLocalStorage } from '../storage.js';
+
+// Stand-in for the Supabase client: every query answers with the given { data, error }
+// and the calls made on it are recorded
+function createFakeClient(answer) {
+  const calls = [];
+  const query = new Proxy({}, {
+    get(target, method) {
+      if (method === 'then') return resolve => resolve(answer);
+      return (...args) => {
+        calls.push([method, ...args]);
+        return query;
+      };
+    }
+  });
+  return { calls, from: table => { calls.push(['from', table]); return query; } };
+}
+
+test('local storage fills in the table defaults and lists newest first', async () => {
+  const storage = createLocalStorage();
+  assert.equal(await storage.hasRooms(), false);
+
+  await storage.insertRooms([{ room_id: 'first' }, { room_id: 'second', room_name: 'Second' }]);
+  assert.equal(await storage.hasRooms(), true);
+  assert.deepEqual((await storage.listRooms()).map(room => room.room_id), ['second', 'first']);
+
+  const first = await storage.getRoom('first');
+  assert.deepEqual(first.players, []);
+  assert.equal(first.game_started, false);
+  assert.equal(await storage.getRoom('missing'), null);
+  await assert.rejects(storage.insertRooms([{ room_id: 'first' }]), /already exists/);
+});
+
+test('local storage upserts, merges updates and never shares records', async () => {
+  const storage = createLocalStorage({ users: [{ id: 'u1', profile_pic: 'cat.png' }, { id: 'u2', profile_pic: null }] });
+  const record = { room_id: 'lobby', game_state: { round: 1 } };
+  await storage.upsertRoom(record);
+  record.game_state.round = 99;
+
+  await storage.upsertRoom({ room_id: 'lobby', game_state: { round: 2 } });
+  await storage.updateRoom('lobby', { game_started: true });
+  const stored = await storage.getRoom('lobby');
+  assert.deepEqual(stored.game_state, { round: 2 });
+  assert.equal(stored.game_started, true);
+
+  stored.game_state.round = 99;
+  assert.deepEqual((await storage.getRoom('lobby')).game_state, { round: 2 });
+  assert.deepEqual(await storage.getUserProfiles(['u1']), [{ id: 'u1', profile_pic: 'cat.png' }]);
+});
+
+test('file storage keeps rooms across a restart', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'thirteen-')), 'rooms.json');
+  try {
+    await createLocalStorage({ filePath }).insertRooms([{ room_id: 'lobby', room_name: 'Lobby' }]);
+
+    const reopened = createLocalStorage({ filePath });
+    assert.equal((await reopened.getRoom('lobby')).room_name, 'Lobby');
+    await reopened.insertRooms([{ room_id: 'next' }]);
+    assert.ok((await reopened.getRoom('next')).id > (await reopened.getRoom('lobby')).id);
+  } finally {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  }
+});
+
+test('the environment picks the backend', () => {
+  const supabase = { VITE_SUPABASE_URL: 'http://localhost:54321', VITE_SUPABASE_ANON_KEY: 'anon' };
+
+  assert.equal(createStorage(supabase).name, 'supabase');
+  assert.equal(createStorage({ ...supabase, STORAGE: 'local' }).name, 'memory');
+  assert.equal(createStorage({ STORAGE: 'local', STORAGE_FILE: '/tmp/rooms.json' }).name, 'file (/tmp/rooms.json)');
+});
+
+test('Supabase errors are thrown and a missing room is null', async () => {
+  const failing = createSupabaseStorage(createFakeClient({ data: null, error: { code: '42P01', message: 'no table' } }));
+  await assert.rejects(failing.listRooms(), { code: '42P01' });
+  await assert.rejects(failing.getRoom('lobby'), { code: '42P01' });
+
+  const client = createFakeClient({ data: null, error: { code: 'PGRST116' } });
+  assert.equal(await createSupabaseStorage(client).getRoom('lobby'), null);
+  assert.deepEqual(client.calls, [['from', 'thirteen_rooms'], ['select', '*'], ['eq', 'room_id', 'lobby'], ['single']]);
+});
@@ -0,0 +1,457 @@
+// Turn pipeline shared by every way a turn can be taken (socket commands, turn timer)
+import { validateCombination, canBeatCombination, isChop, getChopTarget, sortCards, getValidMoves } from './gameLogic.js';
+import { emitRoomState, emitRoomEvent } from './roomHelpers.js';
+import { getSeatedPlayers, persistRoom } from './roomManager.js';
+import { chopPenalty, computeScoreSheet, recordScoreSheet } from './scoring.js';
+import { makeBotMove } from './botLogic.js';
+import { accept, reject } from './actionResults.js';
+import { appendGameEvent } from './gameLog.js';
+import { SHUFFLE_ALGORITHM } from './cardUtils.js';
+import { setPhase, checkPhase } from './roomPhases.js';
+
+// Seated players still holding cards in the current game, in chair order
+function getActivePlayers(room) {
+  return getSeatedPlayers(room).filter(p => p.hand?.length > 0);
+}
+
+// Find the next player clockwise (by chair index) who is still in the game and
+// hasn't passed this round (null if nobody is left)
+function getNextPlayerId(room, currentPlayerId) {
+  const seatedPlayers = getSeatedPlayers(room);
+  const currentPlayer = room.players.find(p => p.id === currentPlayerId);
+  const currentChair = currentPlayer?.chair ?? -1;
+
+  // Walk the chairs after the current one, wrapping around the table
+  const ordered = [
+    ...seatedPlayers.filter(p => p.chair > currentChair),
+    ...seatedPlayers.filter(p => p.chair <= currentChair)
+  ];
+
+  const nextPlayer = ordered.find(p =>
+    p.id !== currentPlayerId && p.hand?.length > 0 && !room.passes.includes(p.id)
+  );
+  return nextPlayer ? nextPlayer.id : null;
+}
+
+// Clear the table and give the lead to the player who played the last card,
+// or to the next player still in the game if that player has already finished
+function startNewRound(room) {
+  room.currentCombination = null;
+  room.passes = [];
+  room.pile = []; // Clear the cards from the table
+  room.round = (room.round || 1) + 1; // Increment round counter
+
+  const lastPlayer = room.players.find(p => p.id === room.lastPlayer);
+  room.turn = lastPlayer?.hand.length > 0 ? lastPlayer.id : getNextPlayerId(room, room.lastPlayer);
+  appendGameEvent(room, 'round_reset', { round: room.round, turn: room.turn });
+}
+
+// Record a player going out. Returns true when only one player is left holding cards.
+function recordFinish(room, player, cards) {
+  if (!room.placements) room.placements = [];
+  room.placements.push(player.id);
+
+  // The first player out is the winner of the game
+  if (room.placements.length === 1) {
+    room.winner = player.id;
+    room.winnerLastCards = cards; // Store the winning cards
+  }
+
+  room.lastTurn = {
+    playerId: player.id,
+    playerName: player.name,
+    cards: cards,
+    timestamp: Date.now(),
+    isWinningMove: room.placements.length === 1,
+    place: room.placements.length
+  }; // Store last turn information
+  appendGameEvent(room, 'finish', { playerId: player.id, place: room.placements.length });
+
+  const activePlayers = getActivePlayers(room);
+  if (activePlayers.length > 1) return false;
+
+  // The last player holding cards takes the final place
+  activePlayers.forEach(p => room.placements.push(p.id));
+  return true;
+}
+
+// End the game and announce the finishing order
+function endGame(io, room, reason = 'cards_played', details = {}) {
+  clearTurnTimer(room);
+  setPhase(room, 'finished');
+  room.turn = null;
+  room.winner = room.placements?.[0] || room.winner;
+  room.previousWinner = room.winner; // Leads the next game
+
+  // Reveal the seed behind this deal so clients can check it against the commitment.
+  // The seed is never stored, a game restored after a restart has nothing to reveal.
+  room.revealedShuffle = room.shuffleSeed
+    ? { seed: room.shuffleSeed, commitment: room.seedCommitment, algorithm: SHUFFLE_ALGORITHM }
+    : null;
+  room.shuffleSeed = null;
+  appendGameEvent(room, 'game_over', {
+    reason,
+    ...details,
+    seed: room.revealedShuffle?.seed || null,
+    placements: [...(room.placements || [])]
+  });
+
+  emitRoomState(io, room, "game_update");
+  emitRoomEvent(io, room, "game_over", {
+    reason,
+    ...details,
+    shuffle: room.revealedShuffle,
+    winner: room.winner,
+    placements: (room.placements || []).map((playerId, index) => {
+      const player = room.players.find(p => p.id === playerId);
+      return {
+        place: index + 1,
+        playerId,
+        userId: player?.userId || null,
+        name: player?.name || null
+      };
+    })
+  });
+
+  // Score what is left in every hand and keep the sheet for the session
+  const scoreSheet = computeScoreSheet(room, reason);
+  recordScoreSheet(room, scoreSheet);
+  emitRoomEvent(io, room, "score_sheet", {
+    sheet: scoreSheet,
+    sessionScores: room.sessionScores
+  });
+
+  persistRoom(room); // The finished game log has to survive a restart for replays
+}
+
+// The chop whose bomb is on the table right now (null when the table holds no chop)
+function getTableChop(room) {
+  const lastChop = room.chops?.[room.chops.length - 1];
+  const onTable = Boolean(lastChop) &&
+    !lastChop.countered &&
+    lastChop.round === room.round &&
+    lastChop.chopperId === room.lastPlayer;
+  return onTable ? lastChop : null;
+}
+
+function isChopOnTable(room, combination) {
+  return isChop(combination, room.currentCombination, Boolean(getTableChop(room)));
+}
+
+// House rule: four consecutive pairs may chop out of turn
+function canChopOutOfTurn(room, player, combination) {
+  return Boolean(room.settings?.outOfTurnChop) &&
+    combination?.type === 'four_pairs' &&
+    player.hand?.length > 0 &&
+    room.lastPlayer !== player.id &&
+    isChopOnTable(room, combination);
+}
+
+// Legal plays for a player right now, grouped by combination type and sorted from
+// weakest to strongest (fewest cards first, then by highest card)
+function getHints(room, player) {
+  if (room.phase !== 'playing' || !(player.hand?.length > 0)) return {};
+
+  const yourTurn = room.turn === player.id;
+  if (!yourTurn && !room.settings?.outOfTurnChop) return {};
+
+  const combinations = getValidMoves(player.hand, room.currentCombination)
+    .filter(cards => !room.openingCard || cards.includes(room.openingCard))
+    .map(validateCombination)
+    .filter(combination => yourTurn || canChopOutOfTurn(room, player, combination))
+    .sort((a, b) => a.cards.length - b.cards.length || a.rank - b.rank);
+
+  const hints = {};
+  combinations.forEach(combination => {
+    if (!hints[combination.type]) hints[combination.type] = [];
+    hints[combination.type].push(combination.cards);
+  });
+  return hints;
+}
+
+// Record who chopped whom and with what. Chopping a chop (counter-chop) passes the
+// earlier chop's penalty on, so the last player chopped in a chain pays for all of it.
+function recordChop(io, room, chopper, combination, outOfTurn) {
+  const target = room.currentCombination;
+  const victim = room.players.find(p => p.id === room.lastPlayer);
+  if (!room.chops) room.chops = [];
+
+  const previousChop = getTableChop(room);
+  const isCounterChop = Boolean(previousChop);
+
+  let penalty = chopPenalty(target);
+  if (isCounterChop) {
+    previousChop.countered = true;
+    penalty += previousChop.penalty;
+  }
+
+  const chop = {
+    chopperId: chopper.id,
+    chopperName: chopper.name,
+    victimId: room.lastPlayer,
+    victimName: victim?.name || null,
+    combination: combination.type,
+    cards: combination.cards,
+    target: getChopTarget(target),
+    targetCards: target.cards,
+    penalty,
+    counterChop: isCounterChop,
+    countered: false,
+    outOfTurn,
+    round: room.round,
+    timestamp: Date.now()
+  };
+
+  room.chops.push(chop);
+  appendGameEvent(room, 'chop', { chop });
+  console.log(`${chopper.id} chopped ${chop.victimId}'s ${chop.target} with ${chop.combination} in room ${room.id}`);
+  emitRoomEvent(io, room, "chop", chop);
+}
+
+// Play cards for a player whose turn it is (or an out-of-turn chop where the room
+// allows it). Returns accept() if the play was applied, otherwise the rejection.
+function playCards(io, room, player, cards) {
+  const wrongPhase = checkPhase(room, 'play_cards');
+  if (wrongPhase) return wrongPhase;
+
+  // The same card twice would otherwise pass every check below
+  if (new Set(cards).size !== cards.length) {
+    console.debug(`Player ${player.id} sent duplicate cards in room ${room.id}`);
+    return reject('INVALID_COMBINATION', { cards });
+  }
+
+  // Validate the combination
+  const combination = validateCombination(cards);
+
+  const outOfTurn = room.turn !== player.id;
+  if (outOfTurn && !canChopOutOfTurn(room, player, combination)) {
+    console.debug(`Not ${player.id}'s turn in room ${room.id}. Turn: ${room.turn}`);
+    return reject('NOT_YOUR_TURN', { turn: room.turn });
+  }
+
+  if (!combination) {
+    console.debug(`Player ${player.id} sent an invalid combination in room ${room.id}`);
+    return reject('INVALID_COMBINATION', { cards });
+  }
+
+  // Check if it can beat the current combination
+  if (!canBeatCombination(combination, room.currentCombination)) {
+    console.debug(`Player ${player.id} can't beat the ${room.currentCombination.type} in room ${room.id}`);
+    return reject('CANNOT_BEAT', { combination, currentCombination: room.currentCombination });
+  }
+
+  // The first play of the game must include the lowest dealt card
+  if (room.openingCard && !cards.includes(room.openingCard)) {
+    console.debug(`Opening play of ${player.id} must include ${room.openingCard}`);
+    return reject('MUST_INCLUDE_OPENING_CARD', { openingCard: room.openingCard });
+  }
+
+  // Check if player has all the cards
+  const missingCards = cards.filter(card => !player.hand.includes(card));
+  if (missingCards.length > 0) {
+    console.debug(`Player ${player.id} played cards they don't hold in room ${room.id}`);
+    return reject('CARD_NOT_IN_HAND', { cards: missingCards });
+  }
+
+  clearTurnTimer(room);
+
+  if (isChopOnTable(room, combination)) {
+    recordChop(io, room, player, combination, outOfTurn);
+  }
+
+  // Chopping out of turn brings a player who had passed back into the round
+  if (outOfTurn) {
+    room.passes = room.passes.filter(id => id !== player.id);
+  }
+
+  // Remove played cards from hand
+  player.hand = player.hand.filter(c => !cards.includes(c));
+  player.cardsPlayed = (player.cardsPlayed || 0) + cards.length;
+  room.playedCards = [...(room.playedCards || []), ...cards];
+  room.pile = cards;
+  room.currentCombination = combination;
+  // Don't reset passes here - only reset when a new round actually starts
+  room.lastPlayer = player.id; // Track who played last
+  room.openingCard = null;
+  appendGameEvent(room, 'play', { playerId: player.id, cards: combination.cards, combination: combination.type, outOfTurn });
+
+  // Check if player went out
+  if (player.hand.length === 0) {
+    console.log(`Player ${player.id} finished in place ${(room.placements?.length || 0) + 1} in room ${room.id}`);
+    if (recordFinish(room, player, cards)) {
+      endGame(io, room);
+      return accept();
+    }
+  }
+
+  // Move to next player, or start a new round if everyone still in the game has passed
+  const nextPlayerId = getNextPlayerId(room, player.id);
+  if (nextPlayerId) {
+    room.turn = nextPlayerId;
+  } else {
+    startNewRound(room);
+  }
+
+  persistRoom(room);
+  emitRoomState(io, room, "game_update");
+  beginTurn(io, room);
+  return accept();
+}
+
+// Pass for a player whose turn it is. Returns accept() if the pass was applied.
+function passTurn(io, room, playerId) {
+  const wrongPhase = checkPhase(room, 'pass');
+  if (wrongPhase) return wrongPhase;
+  if (room.turn !== playerId) return reject('NOT_YOUR_TURN', { turn: room.turn });
+
+  // Whoever holds the lead has to play something (the opening lead must include the opening card)
+  if (!room.currentCombination) return reject('MUST_LEAD', { openingCard: room.openingCard });
+
+  clearTurnTimer(room);
+
+  if (!room.passes.includes(playerId)) {
+    room.passes.push(playerId);
+  }
+  appendGameEvent(room, 'pass', { playerId });
+
+  // If everyone still in the game (other than whoever played the last card) passed, start new round
+  const contenders = getActivePlayers(room).filter(p => p.id !== room.lastPlayer);
+  const allPassed = contenders.every(p => room.passes.includes(p.id));
+
+  if (allPassed) {
+    startNewRound(room);
+  } else {
+    // Move to next player
+    const nextPlayerId = getNextPlayerId(room, playerId);
+    if (nextPlayerId) {
+      room.turn = nextPlayerId;
+    }
+  }
+
+  persistRoom(room);
+  emitRoomState(io, room, "game_update");
+  beginTurn(io, room);
+  return accept();
+}
+
+// Take the turn on a player's behalf: pass, or lead the lowest single when holding the lead
+function takeAutomaticTurn(io, room, playerId) {
+  const player = room.players.find(p => p.id === playerId);
+  if (!player) return reject('NOT_IN_ROOM');
+  const wrongPhase = checkPhase(room, 'pass');
+  if (wrongPhase) return wrongPhase;
+  if (room.turn !== playerId) return reject('NOT_YOUR_TURN', { turn: room.turn });
+
+  if (room.currentCombination) {
+    console.debug(`Auto-passing for ${playerId} in room ${room.id}`);
+    return passTurn(io, room, playerId);
+  }
+
+  const lowestCard = sortCards(player.hand)[0];
+  console.debug(`Auto-leading ${lowestCard} for ${playerId} in room ${room.id}`);
+  return playCards(io, room, player, [lowestCard]);
+}
+
+// Hand the turn to whoever holds it now: start their countdown and let a bot
+// (or autopilot for a disconnected player) move
+function beginTurn(io, room) {
+  startTurnTimer(io, room);
+
+  const player = room.players.find(p => p.id === room.turn);
+  if (room.gameStarted && (player?.isBot || player?.autopilot)) {
+    makeBotMove(io, room, player);
+  }
+}
+
+// Restart the turn of a room restored mid-game, where no turn timer runs and no bot is
+// thinking. Does nothing while either is already going.
+function resumeTurn(io, room) {
+  if (room.phase !== 'playing' || room.turnTimer) return;
+
+  const player = room.players.find(p => p.id === room.turn);
+  if (player?.moveTimer || player?.moveSearch) return;
+
+  console.log(`Resuming the turn of ${room.turn} in room ${room.id}`);
+  beginTurn(io, room);
+}
+
+// Start the countdown for whoever holds the turn. When the turn time runs out the
+// player's time bank is used, and when that is empty too the server takes the turn.
+function startTurnTimer(io, room) {
+  clearTurnTimer(room);
+
+  const turnDuration = room.settings?.turnDuration;
+  if (!room.gameStarted || !room.turn || !turnDuration) return;
+
+  // Hold on to the player, not their socket id: reconnecting gives them a new id
+  const player = room.players.find(p => p.id === room.turn);
+  if (!player) return;
+
+  room.turnTimerState = { playerId: player.id, usingBank: false, startedAt: Date.now() };
+  scheduleTurnTimeout(io, room, turnDuration * 1000, () => {
+    if (player.timeBank > 0) {
+      room.turnTimerState = { playerId: player.id, usingBank: true, startedAt: Date.now() };
+      scheduleTurnTimeout(io, room, player.timeBank * 1000, () => {
+        player.timeBank = 0;
+        room.turnTimerState = null;
+        takeAutomaticTurn(io, room, player.id);
+      });
+      return;
+    }
+
+    room.turnTimerState = null;
+    takeAutomaticTurn(io, room, player.id);
+  });
+}
+
+function scheduleTurnTimeout(io, room, duration, onExpire) {
+  const player = room.players.find(p => p.id === room.turnTimerState.playerId);
+  room.turnDeadline = Date.now() + duration;
+  room.turnTimer = setTimeout(() => {
+    room.turnTimer = null;
+    room.turnDeadline = null;
+    onExpire();
+  }, duration);
+
+  io.to(room.id).emit("turn_timer", {
+    playerId: room.turnTimerState.playerId,
+    deadline: room.turnDeadline,
+    remaining: Math.ceil(duration / 1000),
+    usingBank: room.turnTimerState.usingBank,
+    timeBank: player?.timeBank || 0
+  });
+}
+
+// Stop the running countdown, charging any time bank that was used
+function clearTurnTimer(room) {
+  if (room.turnTimer) {
+    clearTimeout(room.turnTimer);
+    room.turnTimer = null;
+  }
+
+  const state = room.turnTimerState;
+  if (state?.usingBank) {
+    const player = room.players.find(p => p.id === state.playerId);
+    if (player) {
+      const usedSeconds = Math.ceil((Date.now() - state.startedAt) / 1000);
+      player.timeBank = Math.max(0, (player.timeBank || 0) - usedSeconds);
+    }
+  }
+
+  room.turnTimerState = null;
+  room.turnDeadline = null;
+}
+
+export {
+  getActivePlayers,
+  getNextPlayerId,
+  endGame,
+  playCards,
+  getHints,
+  passTurn,
+  takeAutomaticTurn,
+  beginTurn,
+  resumeTurn,
+  startTurnTimer,
+  clearTurnTimer
+};